@@ -0,0 +1,204 @@
+// Builds iCalendar (RFC 5545) data for bookings, so clients can keep their
+// sessions in their own calendars. Invites sent by email follow iTIP (RFC 5546):
+// every booking keeps one UID, and each update carries a higher SEQUENCE.
+// The same UIDs are used in the subscribable feeds, so an emailed invite and a
+// feed event for the same booking are one event in the client's calendar.
+
+const PRODUCT_ID = '-//Training Booking//Sessions//EN';
+
+// Length of a session in the calendar; sessions don't store an end time
+function getSessionDurationMinutes() {
+  return parseInt(process.env.SESSION_DURATION_MINUTES) || 60;
+}
+
+// How long cancelled bookings and sessions stay in feeds (as cancelled events)
+// so subscribed calendars pick up the cancellation and remove them
+function getCancelledRetentionDays() {
+  return parseInt(process.env.CALENDAR_CANCELLED_RETENTION_DAYS) || 30;
+}
+
+// Host part of UIDs, so they stay unique across installations
+function getUidDomain() {
+  try {
+    return new URL(process.env.APP_URL).hostname || 'training-booking';
+  } catch (error) {
+    return 'training-booking';
+  }
+}
+
+// Plain address of EMAIL_FROM, which may be in the form "Name <address>"
+function getOrganizerEmail() {
+  const from = process.env.EMAIL_FROM || process.env.EMAIL_USER || '';
+  const match = from.match(/<([^>]+)>/);
+  return (match ? match[1] : from).trim();
+}
+
+function getBookingUid(booking) {
+  return `booking-${booking._id}@${getUidDomain()}`;
+}
+
+function getSessionUid(session) {
+  return `session-${session._id}@${getUidDomain()}`;
+}
+
+// UTC date-time, e.g. 20240131T170000Z
+function formatUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are continued on the next line, starting with a space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function formatExerciseType(exerciseType) {
+  return exerciseType === 'body-health' ? 'Body Health' : 'Regular Training';
+}
+
+// VEVENT lines for a booking. `cancelled` marks the event as cancelled.
+function buildBookingEvent(booking, session, { client, cancelled = false } = {}) {
+  const start = session.getStartDateTime();
+  const end = new Date(start.getTime() + (getSessionDurationMinutes() * 60 * 1000));
+  const trainerName = session.trainer && session.trainer.name;
+
+  const description = [
+    `Exercise type: ${formatExerciseType(session.exerciseType)}`,
+    `Group size: ${booking.groupSize}`,
+    trainerName ? `Trainer: ${trainerName}` : null,
+    session.description || null
+  ].filter(Boolean).join('\n');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getBookingUid(booking)}`,
+    `SEQUENCE:${booking.icalSequence || 0}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(`${formatExerciseType(session.exerciseType)} session`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+
+  const organizer = getOrganizerEmail();
+  if (organizer) {
+    lines.push(`ORGANIZER:mailto:${organizer}`);
+  }
+  if (client && client.email) {
+    lines.push(`ATTENDEE;CN="${String(client.name || '').replace(/"/g, '')}";ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED:mailto:${client.email}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// VEVENT lines for a session a trainer teaches, listing who booked it
+function buildSessionEvent(session, bookings) {
+  const start = session.getStartDateTime();
+  const end = new Date(start.getTime() + (getSessionDurationMinutes() * 60 * 1000));
+  const booked = bookings.reduce((sum, booking) => sum + booking.groupSize, 0);
+
+  const description = [
+    `Booked: ${booked}/${session.maxCapacity}`,
+    ...bookings.map(booking => `- ${booking.client ? booking.client.name : 'Unknown client'} (${booking.groupSize})`),
+    session.description || null,
+    session.cancellationReason ? `Cancelled: ${session.cancellationReason}` : null
+  ].filter(Boolean).join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${getSessionUid(session)}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(`${formatExerciseType(session.exerciseType)} (${booked}/${session.maxCapacity})`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${session.isActive ? 'CONFIRMED' : 'CANCELLED'}`,
+    'END:VEVENT'
+  ];
+}
+
+// Wrap events into a VCALENDAR document. `method` is set for emailed invites (REQUEST/CANCEL).
+function buildCalendar(events, { method, name } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN'
+  ];
+  if (method) {
+    lines.push(`METHOD:${method}`);
+  }
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  events.forEach(event => lines.push(...event));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Calendar invite for a booking email. REQUEST adds or updates the event in the
+// client's calendar; CANCEL removes it.
+function createBookingInvite(booking, session, client, method = 'REQUEST') {
+  const event = buildBookingEvent(booking, session, { client, cancelled: method === 'CANCEL' });
+  return {
+    method,
+    filename: method === 'CANCEL' ? 'cancel.ics' : 'invite.ics',
+    content: buildCalendar([event], { method })
+  };
+}
+
+// Feed of a client's bookings. `bookings` need their session (with trainer) populated;
+// cancelled ones are kept for the retention period so calendars drop them.
+function buildClientFeed(client, bookings) {
+  const cutoff = new Date(Date.now() - (getCancelledRetentionDays() * 24 * 60 * 60 * 1000));
+  const events = bookings
+    .filter(booking => booking.session)
+    .filter(booking => booking.status !== 'cancelled' || (booking.cancelledAt && booking.cancelledAt >= cutoff))
+    .map(booking => buildBookingEvent(booking, booking.session, { client, cancelled: booking.status === 'cancelled' }));
+
+  return buildCalendar(events, { name: 'Training sessions' });
+}
+
+// Feed of the sessions a trainer teaches, with the confirmed bookings of each
+// session given as { sessionId: [booking] }
+function buildTrainerFeed(trainer, sessions, bookingsBySession) {
+  const cutoff = new Date(Date.now() - (getCancelledRetentionDays() * 24 * 60 * 60 * 1000));
+  const events = sessions
+    .filter(session => session.isActive || (session.cancelledAt && session.cancelledAt >= cutoff))
+    .map(session => buildSessionEvent(session, bookingsBySession[session._id.toString()] || []));
+
+  return buildCalendar(events, { name: `Sessions taught by ${trainer.name}` });
+}
+
+module.exports = {
+  getSessionDurationMinutes,
+  getCancelledRetentionDays,
+  getBookingUid,
+  buildBookingEvent,
+  buildCalendar,
+  createBookingInvite,
+  buildClientFeed,
+  buildTrainerFeed
+};
@@ -0,0 +1,171 @@
+const User = require('./models/User');
+const Session = require('./models/Session');
+const Booking = require('./models/Booking');
+const Package = require('./models/Package');
+const Campaign = require('./models/Campaign');
+const OutboxMessage = require('./models/OutboxMessage');
+const emailService = require('./emailService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A campaign still 'sending' after this long was left behind by a process that died
+const STALE_SEND_MS = 10 * 60 * 1000;
+
+let running = false;
+
+// Campaign emails the outbox worker may send per minute (CAMPAIGN_SEND_RATE, default 30)
+function getSendRate() {
+  return Math.max(parseInt(process.env.CAMPAIGN_SEND_RATE) || 30, 1);
+}
+
+function startOfToday() {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  return today;
+}
+
+// Ids of the clients a segment rule selects, or null when it selects every client
+async function getSegmentClientIds(segment) {
+  const now = new Date();
+
+  switch (segment.rule) {
+    case 'packages-expiring':
+      return Package.distinct('client', {
+        status: 'active',
+        expiresAt: { $gt: now, $lte: new Date(now.getTime() + segment.days * DAY_MS) }
+      });
+
+    case 'inactive': {
+      // Clients with a booking in the window or coming up are active
+      const sessionIds = await Session.distinct('_id', {
+        date: { $gte: new Date(startOfToday().getTime() - segment.days * DAY_MS) }
+      });
+      const activeIds = await Booking.distinct('client', {
+        session: { $in: sessionIds },
+        status: { $in: ['confirmed', 'attended'] }
+      });
+      const clients = await User.find({ role: 'client', _id: { $nin: activeIds } }, '_id');
+      return clients.map(client => client._id);
+    }
+
+    case 'booked-next-week': {
+      const from = startOfToday();
+      const sessionQuery = { date: { $gte: from, $lt: new Date(from.getTime() + 7 * DAY_MS) }, isActive: true };
+      if (segment.trainer) {
+        sessionQuery.trainer = segment.trainer._id || segment.trainer;
+      }
+      if (segment.exerciseType) {
+        sessionQuery.exerciseType = segment.exerciseType;
+      }
+      const sessionIds = await Session.distinct('_id', sessionQuery);
+      return Booking.distinct('client', { session: { $in: sessionIds }, status: 'confirmed' });
+    }
+
+    default:
+      return null;
+  }
+}
+
+// Clients a segment currently targets. Clients who turned email notifications off are left out.
+async function getSegmentRecipients(segment) {
+  const query = { role: 'client', 'notificationChannels.email': { $ne: false } };
+  const clientIds = await getSegmentClientIds(segment);
+  if (clientIds) {
+    query._id = { $in: clientIds };
+  }
+  return User.find(query, 'name email language').sort({ name: 1 });
+}
+
+// Recipient count and the first few recipients, shown before a campaign is sent
+async function previewSegment(segment) {
+  const recipients = await getSegmentRecipients(segment);
+  return {
+    count: recipients.length,
+    sample: recipients.slice(0, 10).map(recipient => ({ name: recipient.name, email: recipient.email }))
+  };
+}
+
+// Queue a claimed campaign's emails, spread over time at CAMPAIGN_SEND_RATE per minute
+async function sendCampaign(campaign) {
+  try {
+    await campaign.populate('segment');
+    if (!campaign.segment) {
+      throw new Error('Segment no longer exists');
+    }
+
+    const recipients = await getSegmentRecipients(campaign.segment);
+    const rate = getSendRate();
+    const start = Date.now();
+    let queued = 0;
+
+    for (let i = 0; i < recipients.length; i++) {
+      const sendAt = new Date(start + Math.floor(i / rate) * 60 * 1000);
+      const result = await emailService.sendCampaignMessage(recipients[i], campaign, sendAt);
+      if (result.success) {
+        queued++;
+      }
+    }
+
+    await Campaign.updateOne(
+      { _id: campaign._id },
+      { $set: { status: 'sent', sentAt: new Date(), recipientCount: recipients.length, queuedCount: queued } }
+    );
+    console.log(`Campaign ${campaign._id} queued for ${queued} of ${recipients.length} recipients`);
+    return true;
+  } catch (error) {
+    console.error(`Error sending campaign ${campaign._id}:`, error);
+    await Campaign.updateOne({ _id: campaign._id }, { $set: { status: 'failed', error: error.message } });
+    return false;
+  }
+}
+
+// Send every campaign that is due. Overlapping runs in this process are skipped.
+async function processDueCampaigns() {
+  if (running) {
+    return 0;
+  }
+
+  running = true;
+  let sent = 0;
+  try {
+    let campaign;
+    while ((campaign = await Campaign.claimDue(STALE_SEND_MS))) {
+      if (await sendCampaign(campaign)) {
+        sent++;
+      }
+    }
+  } catch (error) {
+    console.error('Error processing campaigns:', error);
+  } finally {
+    running = false;
+  }
+  return sent;
+}
+
+// Recent campaigns with how their emails are doing in the outbox
+async function getCampaignHistory(limit = 50) {
+  const campaigns = await Campaign.find()
+    .populate('createdBy', 'name')
+    .sort({ scheduledAt: -1 })
+    .limit(limit)
+    .lean();
+
+  const counts = await OutboxMessage.aggregate([
+    { $match: { campaign: { $in: campaigns.map(campaign => campaign._id) } } },
+    { $group: { _id: { campaign: '$campaign', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  return campaigns.map(campaign => {
+    const delivery = { pending: 0, sending: 0, sent: 0, failed: 0 };
+    counts
+      .filter(count => count._id.campaign.equals(campaign._id))
+      .forEach(count => { delivery[count._id.status] = count.count; });
+    return { ...campaign, delivery };
+  });
+}
+
+module.exports = {
+  getSegmentRecipients,
+  previewSegment,
+  processDueCampaigns,
+  getCampaignHistory
+};
@@ -1,8 +1,18 @@
+const path = require('path');
+const ejs = require('ejs');
 const nodemailer = require('nodemailer');
 const validator = require('validator');
+const i18n = require('./i18n');
+const OutboxMessage = require('./models/OutboxMessage');
+const calendarService = require('./calendarService');
+const mailCatcher = require('./mailCatcher');
 
-// Create transporter with retry logic
+// Create transporter with retry logic, or one that keeps mail locally (see mailCatcher)
 function createTransporter() {
+  if (mailCatcher.isCapturing()) {
+    return nodemailer.createTransport(mailCatcher.createCaptureTransport());
+  }
+
   return nodemailer.createTransport({
     host: process.env.EMAIL_HOST,
     port: process.env.EMAIL_PORT,
@@ -21,297 +31,413 @@ function createTransporter() {
 const transporter = createTransporter();
 
 // Verify email service on startup with better error handling
-transporter.verify()
-  .then(() => {
-    console.log('Email service ready');
-  })
-  .catch((error) => {
-    console.error('Email service configuration error:', error);
-    console.log('Email functionality may not work properly');
+if (mailCatcher.isCapturing()) {
+  console.log(`Email service capturing mail locally (EMAIL_TRANSPORT=${mailCatcher.getTransportMode()})`);
+} else {
+  transporter.verify()
+    .then(() => {
+      console.log('Email service ready');
+    })
+    .catch((error) => {
+      console.error('Email service configuration error:', error);
+      console.log('Email functionality may not work properly');
+    });
+}
+
+const TEMPLATE_DIR = path.join(__dirname, 'templates', 'email');
+
+// Templates live in templates/email as <name>.html.ejs and <name>.text.ejs; their
+// wording (and the subject, <name>.subject) is in the locales/ string catalogs
+const TEMPLATE_NAMES = [
+  'booking-confirmation',
+  'trainer-notification',
+  'trainer-digest',
+  'cancellation-notification',
+  'session-changed',
+  'booking-rescheduled',
+  'trainer-booking-rescheduled',
+  'session-reminder',
+  'feedback-request',
+  'password-reset',
+  'email-verification',
+  'invitation',
+  'custom-message'
+];
+
+// Render a template in the recipient's language. `data.subject` overrides the catalog subject.
+async function renderTemplate(name, data, language) {
+  const helpers = i18n.createHelpers(language);
+  const locals = { ...helpers, ...data };
+  const options = { cache: process.env.NODE_ENV === 'production' };
+
+  const [html, text] = await Promise.all([
+    ejs.renderFile(path.join(TEMPLATE_DIR, `${name}.html.ejs`), locals, options),
+    ejs.renderFile(path.join(TEMPLATE_DIR, `${name}.text.ejs`), locals, options)
+  ]);
+
+  return {
+    subject: data.subject || helpers.t(`${name}.subject`, data),
+    html,
+    text: text.replace(/\n{3,}/g, '\n\n').trim()
+  };
+}
+
+// Made-up booking, session and people for previewing templates
+function getPreviewData(name, language) {
+  const start = new Date(Date.now() + (26 * 60 * 60 * 1000));
+  start.setMinutes(0, 0, 0);
+  const makeSession = (startDateTime, fields) => ({
+    _id: 'preview-session',
+    date: startDateTime,
+    time: `${String(startDateTime.getHours()).padStart(2, '0')}:00`,
+    maxCapacity: 4,
+    getStartDateTime: () => startDateTime,
+    ...fields
   });
 
-// Helper function to format dates consistently
-function formatDate(date) {
-  return new Date(date).toLocaleDateString('en-US', { 
-    weekday: 'long', 
-    year: 'numeric', 
-    month: 'long', 
-    day: 'numeric' 
+  const trainer = { name: 'Ana Horvat', email: 'trainer@example.com' };
+  const client = { name: 'Ivan Kovač', email: 'client@example.com', phone: '+385 91 234 5678' };
+  const session = makeSession(start, { exerciseType: 'regular-training', trainer, description: 'Bring a mat' });
+  const previousSession = makeSession(new Date(start.getTime() - (24 * 60 * 60 * 1000)), {
+    exerciseType: 'regular-training',
+    trainer,
+    description: ''
   });
-}
+  const booking = {
+    _id: 'preview-booking',
+    groupSize: 2,
+    isPackageBooking: true,
+    sessionNumber: 3,
+    package: { name: '10 sessions', totalCredits: 10 },
+    cancellationDeadline: new Date(start.getTime() - (24 * 60 * 60 * 1000)),
+    cancellationReason: 'Feeling unwell',
+    lateCancellationOutcome: 'fee-charged',
+    lateCancellationFee: 15
+  };
 
-// Sanitize email content to prevent injection
-function sanitizeEmailContent(content) {
-  if (typeof content !== 'string') return '';
-  return validator.escape(content).replace(/\n/g, '<br>');
+  switch (name) {
+    case 'session-changed':
+    case 'booking-rescheduled':
+    case 'trainer-booking-rescheduled':
+      return { booking, previousSession, session, client };
+    case 'session-reminder':
+      return { booking, session, client, leadTime: i18n.createHelpers(language).formatLeadTime(start) };
+    case 'trainer-digest':
+      return {
+        trainer,
+        date: i18n.createHelpers(language).formatDate(start),
+        agenda: [
+          {
+            session: { ...session, currentBookings: 3 },
+            freeSpots: 1,
+            participants: [
+              { booking: { ...booking, notes: 'Knee injury - no jumping' }, client, packages: { balance: 7, nextExpiry: new Date(start.getTime() + (30 * 24 * 60 * 60 * 1000)) } },
+              { booking: { groupSize: 1, notes: '' }, client: { name: 'Marija Novak' }, packages: { balance: 0 } }
+            ]
+          },
+          { session: { ...session, time: '18:00', exerciseType: 'body-health', currentBookings: 0 }, freeSpots: 4, participants: [] }
+        ]
+      };
+    case 'feedback-request':
+      return { booking, session: previousSession, client, feedbackUrl: `${process.env.APP_URL}/feedback/preview` };
+    case 'password-reset':
+      return { user: client, resetUrl: `${process.env.APP_URL}/reset-password?token=preview` };
+    case 'email-verification':
+      return { user: client, verifyUrl: `${process.env.APP_URL}/verify-email?token=preview`, isChange: false, expiresInHours: 48 };
+    case 'invitation':
+      return {
+        email: 'new.trainer@example.com',
+        role: 'admin',
+        inviter: trainer,
+        inviteUrl: `${process.env.APP_URL}/invite?token=preview`,
+        expiresAt: new Date(Date.now() + (72 * 60 * 60 * 1000))
+      };
+    case 'custom-message':
+      return { recipient: client, subject: 'Schedule for next week', message: 'Hi all,\n\nNext week we start at 7:00 instead of 8:00.' };
+    default:
+      return { booking, session, client };
+  }
 }
 
-const emailTemplates = {
-  bookingConfirmation: (booking, session, client) => ({
-    subject: 'Booking Confirmation - Your Training Session is Confirmed!',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <div style="background: #4CAF50; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
-          <h1 style="margin: 0;">Booking Confirmed!</h1>
-        </div>
-        <div style="background: white; padding: 30px; border: 1px solid #ddd; border-radius: 0 0 8px 8px;">
-          <h2 style="color: #333;">Hi ${sanitizeEmailContent(client.name)}!</h2>
-          <p>Your training session has been successfully booked. Here are the details:</p>
-          
-          <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <h3 style="color: #4CAF50; margin-top: 0;">Session Details</h3>
-            <p><strong>Date:</strong> ${formatDate(session.date)}</p>
-            <p><strong>Time:</strong> ${sanitizeEmailContent(session.time)}</p>
-            <p><strong>Exercise Type:</strong> ${session.exerciseType === 'body-health' ? 'Body Health' : 'Regular Training'}</p>
-            <p><strong>Group Size:</strong> ${booking.groupSize} ${booking.groupSize === 1 ? 'person' : 'people'}</p>
-            ${session.trainer ? `<p><strong>Trainer:</strong> ${sanitizeEmailContent(session.trainer.name)}</p>` : ''}
-          </div>
-          
-          <div style="background: #fff3cd; padding: 15px; border-radius: 8px; margin: 20px 0;">
-            <p style="margin: 0; color: #856404;"><strong>Cancellation Policy:</strong> You can cancel your booking up to 24 hours before the session time.</p>
-          </div>
-          
-          <p style="color: #666;">You'll receive a reminder email 2 hours before your session.</p>
-        </div>
-      </div>
-    `,
-    text: `Hi ${client.name}! Your training session has been confirmed for ${formatDate(session.date)} at ${session.time}. Exercise Type: ${session.exerciseType === 'body-health' ? 'Body Health' : 'Regular Training'}. Group Size: ${booking.groupSize}.`
-  }),
-
-  cancellationNotification: (booking, session, client) => ({
-    subject: 'Booking Cancelled - Training Session',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <div style="background: #dc3545; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
-          <h1 style="margin: 0;">Booking Cancelled</h1>
-        </div>
-        <div style="background: white; padding: 30px; border: 1px solid #ddd; border-radius: 0 0 8px 8px;">
-          <h2 style="color: #333;">Hi ${sanitizeEmailContent(client.name)},</h2>
-          <p>Your training session has been cancelled.</p>
-          <p><strong>Session Details:</strong></p>
-          <p>Date: ${formatDate(session.date)}</p>
-          <p>Time: ${sanitizeEmailContent(session.time)}</p>
-          <p>Exercise Type: ${session.exerciseType === 'body-health' ? 'Body Health' : 'Regular Training'}</p>
-          
-          <p style="color: #666;">If you have any questions, please contact us.</p>
-        </div>
-      </div>
-    `,
-    text: `Hi ${client.name}, Your training session for ${formatDate(session.date)} at ${session.time} has been cancelled.`
-  }),
-
-  sessionReminder: (booking, session, client) => ({
-    subject: 'Reminder: Your Training Session Starts in 2 Hours!',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <div style="background: #FF9800; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
-          <h1 style="margin: 0;">Session Reminder</h1>
-        </div>
-        <div style="background: white; padding: 30px; border: 1px solid #ddd; border-radius: 0 0 8px 8px;">
-          <h2 style="color: #333;">Hi ${sanitizeEmailContent(client.name)}!</h2>
-          <p><strong>Your training session starts in 2 hours!</strong></p>
-          
-          <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <p><strong>Date:</strong> ${formatDate(session.date)}</p>
-            <p><strong>Time:</strong> ${sanitizeEmailContent(session.time)}</p>
-            <p><strong>Exercise Type:</strong> ${session.exerciseType === 'body-health' ? 'Body Health' : 'Regular Training'}</p>
-            <p><strong>Group Size:</strong> ${booking.groupSize} ${booking.groupSize === 1 ? 'person' : 'people'}</p>
-            ${session.trainer ? `<p><strong>Trainer:</strong> ${sanitizeEmailContent(session.trainer.name)}</p>` : ''}
-          </div>
-          
-          <p style="color: #666;">See you soon!</p>
-        </div>
-      </div>
-    `,
-    text: `Hi ${client.name}! Your training session starts in 2 hours! Date: ${formatDate(session.date)} Time: ${session.time}`
-  }),
-
-  trainerNotification: (booking, session, client) => ({
-    subject: 'New Booking: Client Booked Your Training Session',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <div style="background: #2196F3; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
-          <h1 style="margin: 0;">New Booking Alert</h1>
-        </div>
-        <div style="background: white; padding: 30px; border: 1px solid #ddd; border-radius: 0 0 8px 8px;">
-          <h2 style="color: #333;">New Session Booking!</h2>
-          
-          <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <p><strong>Client:</strong> ${sanitizeEmailContent(client.name)} (${sanitizeEmailContent(client.email)})</p>
-            <p><strong>Date:</strong> ${formatDate(session.date)}</p>
-            <p><strong>Time:</strong> ${sanitizeEmailContent(session.time)}</p>
-            <p><strong>Exercise Type:</strong> ${session.exerciseType === 'body-health' ? 'Body Health' : 'Regular Training'}</p>
-            <p><strong>Group Size:</strong> ${booking.groupSize} ${booking.groupSize === 1 ? 'person' : 'people'}</p>
-            ${client.phone ? `<p><strong>Phone:</strong> ${sanitizeEmailContent(client.phone)}</p>` : ''}
-          </div>
-          
-          ${booking.isPackageBooking ? `
-            <div style="background: #e8f4f8; padding: 15px; border-radius: 8px; margin: 20px 0;">
-              <p style="margin: 0; color: #0c5460;"><strong>Package Booking:</strong> This is session ${booking.sessionNumber}/8</p>
-            </div>
-          ` : ''}
-        </div>
-      </div>
-    `,
-    text: `New Booking! Client: ${client.name} (${client.email}) Session: ${formatDate(session.date)} at ${session.time} Group Size: ${booking.groupSize}`
-  }),
-
-  passwordReset: (user, resetToken) => ({
-    subject: 'Password Reset Request - Personal Trainer Booking',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <div style="background: #6c757d; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
-          <h1 style="margin: 0;">Password Reset</h1>
-        </div>
-        <div style="background: white; padding: 30px; border: 1px solid #ddd; border-radius: 0 0 8px 8px;">
-          <h2 style="color: #333;">Hi ${sanitizeEmailContent(user.name)},</h2>
-          <p>You requested a password reset for your account. Click the link below to reset your password:</p>
-          
-          <div style="text-align: center; margin: 30px 0;">
-            <a href="${process.env.APP_URL}/reset-password?token=${resetToken}" 
-               style="background: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">
-               Reset Password
-            </a>
-          </div>
-          
-          <p style="color: #666;">This link expires in 1 hour for security reasons.</p>
-          <p style="color: #666; font-size: 0.9em;">If you didn't request this password reset, please ignore this email.</p>
-        </div>
-      </div>
-    `,
-    text: `Hi ${user.name}, Visit this link to reset your password: ${process.env.APP_URL}/reset-password?token=${resetToken} This link expires in 1 hour.`
-  }),
-
-  customMessage: (recipient, subject, message) => ({
-    subject: sanitizeEmailContent(subject),
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <div style="background: #4CAF50; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
-          <h1 style="margin: 0;">Message from Your Trainer</h1>
-        </div>
-        <div style="background: white; padding: 30px; border: 1px solid #ddd; border-radius: 0 0 8px 8px;">
-          <h2 style="color: #333;">Hi ${sanitizeEmailContent(recipient.name)}!</h2>
-          <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin: 20px 0; white-space: pre-wrap;">${sanitizeEmailContent(message)}</div>
-          <p style="color: #666;">Best regards, Your Personal Trainer</p>
-        </div>
-      </div>
-    `,
-    text: `Hi ${recipient.name}!\n\n${message}\n\nBest regards, Your Personal Trainer`
-  })
-};
-
-// Enhanced send email function with retry logic
-async function sendEmail(to, template, maxRetries = 3) {
+// Queue an email in the outbox; the outbox worker delivers it and retries failures.
+// `options` describe the message (type, idempotencyKey and related user/booking/session).
+// A message whose idempotency key was already queued is not queued again.
+async function sendEmail(to, template, options = {}) {
   if (!validator.isEmail(to)) {
     throw new Error('Invalid email address');
   }
 
-  const mailOptions = {
-    from: process.env.EMAIL_FROM,
-    to: to,
+  const { message, duplicate } = await OutboxMessage.enqueue({
+    channel: 'email',
+    to,
     subject: template.subject,
     text: template.text,
     html: template.html,
-  };
+    icalEvent: options.icalEvent,
+    type: options.type || 'general',
+    idempotencyKey: options.idempotencyKey,
+    user: options.user,
+    booking: options.booking,
+    session: options.session,
+    campaign: options.campaign,
+    // Not sent before this time (used to spread out broadcasts)
+    nextAttemptAt: options.sendAt
+  });
 
-  let lastError;
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const result = await transporter.sendMail(mailOptions);
-      console.log(`Email sent successfully to ${to}:`, result.messageId);
-      return { success: true, messageId: result.messageId };
-    } catch (error) {
-      lastError = error;
-      console.error(`Email attempt ${attempt}/${maxRetries} failed to ${to}:`, error.message);
-      
-      if (attempt < maxRetries) {
-        // Wait before retrying (exponential backoff)
-        const delay = Math.pow(2, attempt) * 1000;
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
-    }
+  if (duplicate) {
+    console.log(`Email ${options.idempotencyKey} already queued, skipping`);
+    return { success: true, queued: false, duplicate: true };
   }
-  
-  console.error(`All email attempts failed to ${to}:`, lastError);
-  return { success: false, error: lastError.message };
+  return { success: true, queued: true, outboxId: message._id };
 }
 
 const emailService = {
-  async sendBookingConfirmation(booking, session, client, trainer) {
+  async sendBookingConfirmation(booking, session, client) {
     try {
-      const template = emailTemplates.bookingConfirmation(booking, session, client);
-      const clientResult = await sendEmail(client.email, template);
-      
-      let trainerResult = { success: true, message: 'No trainer email sent' };
-      if (trainer && trainer.email && trainer.email !== client.email) {
-        const trainerTemplate = emailTemplates.trainerNotification(booking, session, client);
-        trainerResult = await sendEmail(trainer.email, trainerTemplate);
-      }
-      
-      return { clientResult, trainerResult };
+      const template = await renderTemplate('booking-confirmation', { booking, session, client }, i18n.getLanguage(client));
+      return await sendEmail(client.email, template, {
+        icalEvent: calendarService.createBookingInvite(booking, session, client, 'REQUEST'),
+        type: 'booking-confirmation',
+        idempotencyKey: `booking-confirmation:${booking._id}`,
+        user: client._id,
+        booking: booking._id,
+        session: session._id
+      });
     } catch (error) {
       console.error('Error in sendBookingConfirmation:', error);
-      return { 
-        clientResult: { success: false, error: error.message },
-        trainerResult: { success: false, error: error.message }
-      };
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Tell the session's trainer about a new booking
+  async sendTrainerNotification(booking, session, client, trainer) {
+    if (!trainer || !trainer.email || trainer.email === client.email) {
+      return { success: true, message: 'No trainer email sent' };
+    }
+
+    try {
+      const template = await renderTemplate('trainer-notification', { booking, session, client }, i18n.getLanguage(trainer));
+      return await sendEmail(trainer.email, template, {
+        type: 'trainer-notification',
+        idempotencyKey: `trainer-notification:${booking._id}`,
+        user: trainer._id,
+        booking: booking._id,
+        session: session._id
+      });
+    } catch (error) {
+      console.error('Error in sendTrainerNotification:', error);
+      return { success: false, error: error.message };
     }
   },
 
   async sendCancellationNotification(booking, session, client) {
     try {
-      const template = emailTemplates.cancellationNotification(booking, session, client);
-      return await sendEmail(client.email, template);
+      const template = await renderTemplate('cancellation-notification', { booking, session, client }, i18n.getLanguage(client));
+      return await sendEmail(client.email, template, {
+        icalEvent: calendarService.createBookingInvite(booking, session, client, 'CANCEL'),
+        type: 'booking-cancelled',
+        idempotencyKey: `booking-cancelled:${booking._id}`,
+        user: client._id,
+        booking: booking._id,
+        session: session._id
+      });
     } catch (error) {
       console.error('Error in sendCancellationNotification:', error);
       return { success: false, error: error.message };
     }
   },
 
-  async sendSessionReminder(booking, session, client) {
+  async sendSessionChangeNotification(booking, previousSession, session, client) {
     try {
-      // Check if reminder already sent to avoid duplicates
-      if (booking.reminderSent) {
-        return { success: true, message: 'Reminder already sent' };
-      }
-      
-      const template = emailTemplates.sessionReminder(booking, session, client);
-      const result = await sendEmail(client.email, template);
-      
-      // Mark reminder as sent if successful
-      if (result.success && booking.markModified) {
-        booking.reminderSent = true;
-        await booking.save();
+      const template = await renderTemplate('session-changed', { booking, previousSession, session, client }, i18n.getLanguage(client));
+      return await sendEmail(client.email, template, {
+        icalEvent: calendarService.createBookingInvite(booking, session, client, 'REQUEST'),
+        type: 'session-changed',
+        user: client._id,
+        booking: booking._id,
+        session: session._id
+      });
+    } catch (error) {
+      console.error('Error in sendSessionChangeNotification:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  async sendBookingRescheduled(booking, previousSession, session, client) {
+    try {
+      const template = await renderTemplate('booking-rescheduled', { booking, previousSession, session, client }, i18n.getLanguage(client));
+      return await sendEmail(client.email, template, {
+        icalEvent: calendarService.createBookingInvite(booking, session, client, 'REQUEST'),
+        type: 'booking-rescheduled',
+        // rescheduleCount makes every move of the booking its own message
+        idempotencyKey: `booking-rescheduled:${booking._id}:${booking.rescheduleCount}`,
+        user: client._id,
+        booking: booking._id,
+        session: session._id
+      });
+    } catch (error) {
+      console.error('Error in sendBookingRescheduled:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // One email to each trainer involved (old and new session)
+  async sendTrainerBookingRescheduled(booking, previousSession, session, client) {
+    try {
+      const key = `${booking._id}:${booking.rescheduleCount}`;
+      const results = [];
+      const trainers = [session.trainer, previousSession.trainer]
+        .filter(trainer => trainer && trainer.email && trainer.email !== client.email)
+        .filter((trainer, index, all) => all.findIndex(other => other.email === trainer.email) === index);
+
+      for (const trainer of trainers) {
+        const template = await renderTemplate('trainer-booking-rescheduled', { booking, previousSession, session, client }, i18n.getLanguage(trainer));
+        results.push(await sendEmail(trainer.email, template, {
+          type: 'trainer-booking-rescheduled',
+          idempotencyKey: `trainer-booking-rescheduled:${key}:${trainer._id}`,
+          user: trainer._id,
+          booking: booking._id,
+          session: session._id
+        }));
       }
-      
-      return result;
+
+      return results;
+    } catch (error) {
+      console.error('Error in sendTrainerBookingRescheduled:', error);
+      return [{ success: false, error: error.message }];
+    }
+  },
+
+  // Which reminders a booking already got is tracked by the scheduler (Booking.remindersSent);
+  // the key includes the session start so a moved session gets its reminders again
+  async sendSessionReminder(booking, session, client, offsetMinutes) {
+    try {
+      const startDateTime = session.getStartDateTime();
+      const language = i18n.getLanguage(client);
+      const leadTime = i18n.createHelpers(language).formatLeadTime(startDateTime);
+      const template = await renderTemplate('session-reminder', { booking, session, client, leadTime }, language);
+      return await sendEmail(client.email, template, {
+        type: 'session-reminder',
+        idempotencyKey: `session-reminder:${booking._id}:${startDateTime.toISOString()}:${offsetMinutes}`,
+        user: client._id,
+        booking: booking._id,
+        session: session._id
+      });
     } catch (error) {
       console.error('Error in sendSessionReminder:', error);
       return { success: false, error: error.message };
     }
   },
 
+  // Morning summary of a trainer's sessions on `day` (see trainerDigestService)
+  async sendTrainerDigest(trainer, agenda, day) {
+    try {
+      const language = i18n.getLanguage(trainer);
+      const date = i18n.createHelpers(language).formatDate(day);
+      const template = await renderTemplate('trainer-digest', { trainer, agenda, date }, language);
+      return await sendEmail(trainer.email, template, {
+        type: 'trainer-digest',
+        idempotencyKey: `trainer-digest:${trainer._id}:${day.toDateString()}`,
+        user: trainer._id
+      });
+    } catch (error) {
+      console.error('Error in sendTrainerDigest:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Ask the client to rate an attended session; `feedbackUrl` is their signed feedback link
+  async sendFeedbackRequest(booking, session, client, feedbackUrl) {
+    try {
+      const template = await renderTemplate('feedback-request', { booking, session, client, feedbackUrl }, i18n.getLanguage(client));
+      return await sendEmail(client.email, template, {
+        type: 'feedback-request',
+        idempotencyKey: `feedback-request:${booking._id}`,
+        user: client._id,
+        booking: booking._id,
+        session: session._id
+      });
+    } catch (error) {
+      console.error('Error in sendFeedbackRequest:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
   async sendPasswordReset(user, resetToken) {
     try {
-      const template = emailTemplates.passwordReset(user, resetToken);
-      return await sendEmail(user.email, template);
+      const resetUrl = `${process.env.APP_URL}/reset-password?token=${resetToken}`;
+      const template = await renderTemplate('password-reset', { user, resetUrl }, i18n.getLanguage(user));
+      return await sendEmail(user.email, template, { type: 'password-reset', user: user._id });
     } catch (error) {
       console.error('Error in sendPasswordReset:', error);
       return { success: false, error: error.message };
     }
   },
 
+  // Link that proves the user owns `email`, their new address when `isChange` is set.
+  // Sent to that address rather than the one on the account.
+  async sendEmailVerification(user, email, verifyUrl, { isChange, expiresInHours }) {
+    try {
+      const template = await renderTemplate('email-verification', { user, verifyUrl, isChange, expiresInHours }, i18n.getLanguage(user));
+      return await sendEmail(email, template, { type: 'email-verification', user: user._id });
+    } catch (error) {
+      console.error('Error in sendEmailVerification:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Invitation to create an account; `token` is the secret part of the link
+  async sendInvitation(invitation, token, inviter) {
+    try {
+      const inviteUrl = `${process.env.APP_URL}/invite?token=${token}`;
+      const template = await renderTemplate('invitation', {
+        email: invitation.email,
+        role: invitation.role,
+        inviter,
+        inviteUrl,
+        expiresAt: invitation.expiresAt
+      }, i18n.getLanguage(invitation));
+      return await sendEmail(invitation.email, template, {
+        type: 'invitation',
+        idempotencyKey: `invitation:${invitation._id}`
+      });
+    } catch (error) {
+      console.error('Error in sendInvitation:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
   async sendCustomMessage(recipient, subject, message) {
     try {
-      const template = emailTemplates.customMessage(recipient, subject, message);
-      return await sendEmail(recipient.email, template);
+      const template = await renderTemplate('custom-message', { recipient, subject, message }, i18n.getLanguage(recipient));
+      return await sendEmail(recipient.email, template, { type: 'custom-message', user: recipient._id });
     } catch (error) {
       console.error('Error in sendCustomMessage:', error);
       return { success: false, error: error.message };
     }
   },
 
+  // Broadcast email of a campaign, queued to go out at `sendAt`
+  async sendCampaignMessage(recipient, campaign, sendAt) {
+    try {
+      const template = await renderTemplate('custom-message', {
+        recipient,
+        subject: campaign.subject,
+        message: campaign.message
+      }, i18n.getLanguage(recipient));
+      return await sendEmail(recipient.email, template, {
+        type: 'campaign',
+        idempotencyKey: `campaign:${campaign._id}:${recipient._id}`,
+        user: recipient._id,
+        campaign: campaign._id,
+        sendAt
+      });
+    } catch (error) {
+      console.error('Error in sendCampaignMessage:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
   async sendBulkCustomMessage(recipients, subject, message) {
     const results = [];
     
@@ -324,18 +450,11 @@ const emailService = {
       throw new Error('Subject and message are required');
     }
     
-    // Send emails with delay to avoid rate limiting
-    for (let i = 0; i < recipients.length; i++) {
-      const recipient = recipients[i];
-      
+    // Messages are queued; the outbox worker sends them one at a time
+    for (const recipient of recipients) {
       try {
         const result = await this.sendCustomMessage(recipient, subject, message);
         results.push({ recipient: recipient.email, result });
-        
-        // Add small delay between emails to be respectful to email server
-        if (i < recipients.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
       } catch (error) {
         console.error(`Error sending to ${recipient.email}:`, error);
         results.push({ 
@@ -348,8 +467,35 @@ const emailService = {
     return results;
   },
 
+  // Hand one outbox message to the mail server (used by the outbox worker)
+  async deliverOutboxMessage(message) {
+    const result = await transporter.sendMail({
+      from: process.env.EMAIL_FROM,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      icalEvent: message.icalEvent && message.icalEvent.content ? message.icalEvent : undefined
+    });
+    return { messageId: result.messageId };
+  },
+
+  // Render a template with sample data, for admins checking how an email looks
+  async renderPreview(name, language) {
+    if (!TEMPLATE_NAMES.includes(name)) {
+      throw new Error(`Unknown email template: ${name}`);
+    }
+    return renderTemplate(name, getPreviewData(name, language), language);
+  },
+
+  TEMPLATE_NAMES,
+
   // Test email connectivity
   async testConnection() {
+    if (mailCatcher.isCapturing()) {
+      return { success: true, message: `Capturing mail locally (EMAIL_TRANSPORT=${mailCatcher.getTransportMode()})` };
+    }
+
     try {
       await transporter.verify();
       return { success: true, message: 'Email service is working' };
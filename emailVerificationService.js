@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const validator = require('validator');
+const User = require('./models/User');
+const emailService = require('./emailService');
+
+// Verification links can be used this long after they were sent (EMAIL_VERIFICATION_HOURS, default 48)
+function getLinkHours() {
+  return parseInt(process.env.EMAIL_VERIFICATION_HOURS) || 48;
+}
+
+// A user gets at most one verification email per this many seconds
+const RESEND_COOLDOWN_SECONDS = 60;
+
+// Verification links are signed with their own key, so they can never pass as a login token
+function getSigningKey() {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update('email-verification').digest('hex');
+}
+
+// The link names the address it verifies, so a link for an address the user has
+// since changed away from stops working
+function createVerificationToken(user, email) {
+  return jwt.sign({ user: String(user._id), email }, getSigningKey(), { expiresIn: `${getLinkHours()}h` });
+}
+
+function getVerificationUrl(user, email) {
+  return `${process.env.APP_URL}/verify-email?token=${createVerificationToken(user, email)}`;
+}
+
+// Email a verification link for the user's pending address, or for their current one
+// while it is unverified. Resolves to { sent: true } or, when an email went out less
+// than RESEND_COOLDOWN_SECONDS ago, to { sent: false, retryAfter } in seconds.
+async function sendVerificationEmail(user) {
+  const email = user.pendingEmail || user.email;
+  const now = new Date();
+  const cooldownStart = new Date(now.getTime() - (RESEND_COOLDOWN_SECONDS * 1000));
+
+  // Claiming the send time atomically keeps concurrent requests from sending twice
+  const claimed = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      $or: [
+        { emailVerificationSentAt: { $exists: false } },
+        { emailVerificationSentAt: null },
+        { emailVerificationSentAt: { $lte: cooldownStart } }
+      ]
+    },
+    { $set: { emailVerificationSentAt: now } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    const current = await User.findById(user._id, 'emailVerificationSentAt');
+    const retryAfter = current && current.emailVerificationSentAt
+      ? Math.ceil((current.emailVerificationSentAt.getTime() + (RESEND_COOLDOWN_SECONDS * 1000) - now.getTime()) / 1000)
+      : RESEND_COOLDOWN_SECONDS;
+    return { sent: false, retryAfter: Math.max(retryAfter, 1) };
+  }
+
+  const result = await emailService.sendEmailVerification(claimed, email, getVerificationUrl(claimed, email), {
+    isChange: !!claimed.pendingEmail,
+    expiresInHours: getLinkHours()
+  });
+  if (!result.success) {
+    await User.updateOne({ _id: user._id }, { $unset: { emailVerificationSentAt: '' } });
+    throw new Error(result.error || 'Error sending verification email');
+  }
+  return { sent: true };
+}
+
+// Ask to change the user's email address. The current address stays in use until the
+// new one is verified through the link sent to it.
+async function requestEmailChange(user, newEmail) {
+  const email = String(newEmail || '').trim().toLowerCase();
+  if (!validator.isEmail(email)) {
+    return { error: 'Please enter a valid email address' };
+  }
+  if (email === user.email) {
+    return { error: 'This is already your email address' };
+  }
+  if (await User.exists({ _id: { $ne: user._id }, email })) {
+    return { error: 'This email address is already in use' };
+  }
+
+  // A new address always gets its own link, whatever was sent for the old one
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $set: { pendingEmail: email }, $unset: { emailVerificationSentAt: '' } },
+    { new: true }
+  );
+  try {
+    await sendVerificationEmail(updated);
+  } catch (error) {
+    // Nobody got a link for the new address, so go back to the request (if any) from before
+    const $set = {};
+    const $unset = {};
+    for (const field of ['pendingEmail', 'emailVerificationSentAt']) {
+      if (user[field]) {
+        $set[field] = user[field];
+      } else {
+        $unset[field] = '';
+      }
+    }
+    await User.updateOne({ _id: user._id, pendingEmail: email }, {
+      ...(Object.keys($set).length > 0 && { $set }),
+      ...(Object.keys($unset).length > 0 && { $unset })
+    });
+    throw error;
+  }
+  return { user: updated };
+}
+
+// Drop a requested email change that hasn't been verified yet
+async function cancelEmailChange(user) {
+  return User.findByIdAndUpdate(user._id, { $unset: { pendingEmail: '' } }, { new: true });
+}
+
+// Verify the address a link was sent to. A pending address becomes the user's email.
+// Resolves to { user, email } or to { error } for invalid, expired or outdated links.
+async function verifyEmail(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, getSigningKey());
+  } catch (error) {
+    return { error: 'This verification link is invalid or has expired' };
+  }
+
+  const user = await User.findById(payload.user);
+  if (!user) {
+    return { error: 'This verification link is invalid or has expired' };
+  }
+
+  if (payload.email === user.pendingEmail) {
+    if (await User.exists({ _id: { $ne: user._id }, email: payload.email })) {
+      return { error: 'This email address is already in use by another account' };
+    }
+
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, pendingEmail: payload.email },
+      {
+        $set: { email: payload.email, emailVerified: true },
+        $unset: { pendingEmail: '', emailVerificationSentAt: '' }
+      },
+      { new: true }
+    );
+    return updated ? { user: updated, email: payload.email } : { error: 'This verification link is no longer valid' };
+  }
+
+  if (payload.email === user.email) {
+    if (user.emailVerified === false) {
+      user.emailVerified = true;
+      user.emailVerificationSentAt = undefined;
+      await user.save();
+    }
+    return { user, email: user.email };
+  }
+
+  return { error: 'This verification link is for an email address that is no longer on your account' };
+}
+
+module.exports = {
+  RESEND_COOLDOWN_SECONDS,
+  sendVerificationEmail,
+  requestEmailChange,
+  cancelEmailChange,
+  verifyEmail
+};
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('./models/Session');
+const Booking = require('./models/Booking');
+const Feedback = require('./models/Feedback');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+const calendarService = require('./calendarService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours after a session ends before its feedback email goes out (FEEDBACK_DELAY_HOURS, default 3)
+function getFeedbackDelayHours() {
+  const hours = parseFloat(process.env.FEEDBACK_DELAY_HOURS);
+  return isNaN(hours) || hours < 0 ? 3 : hours;
+}
+
+// Sessions that ended longer ago than this get no feedback email, even after downtime
+const FEEDBACK_MAX_AGE_DAYS = 7;
+// Feedback links can be used this long after they were sent
+const FEEDBACK_LINK_DAYS = 30;
+
+// Feedback links are signed with their own key, so they can never pass as a login token
+function getSigningKey() {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update('feedback-links').digest('hex');
+}
+
+function createFeedbackToken(booking) {
+  return jwt.sign({ booking: String(booking._id) }, getSigningKey(), { expiresIn: `${FEEDBACK_LINK_DAYS}d` });
+}
+
+// Booking id of a feedback link, or null when the token is invalid or expired
+function verifyFeedbackToken(token) {
+  try {
+    return jwt.verify(token, getSigningKey()).booking || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function getFeedbackUrl(booking) {
+  return `${process.env.APP_URL}/feedback/${createFeedbackToken(booking)}`;
+}
+
+// Record a rating for a booking, replacing an earlier one. The comment is only
+// changed when one is given, so a one-click rating keeps a comment written before.
+async function saveFeedback(booking, rating, comment) {
+  const update = {
+    $set: { rating, updatedAt: new Date() },
+    $setOnInsert: {
+      client: booking.client,
+      session: booking.session._id,
+      trainer: booking.session.trainer,
+      exerciseType: booking.session.exerciseType,
+      createdAt: new Date()
+    }
+  };
+  if (typeof comment === 'string') {
+    update.$set.comment = comment;
+  }
+
+  return Feedback.findOneAndUpdate({ booking: booking._id }, update, { new: true, upsert: true, runValidators: true });
+}
+
+// Email a feedback link for every attended booking whose session ended at least
+// FEEDBACK_DELAY_HOURS ago. Each booking is claimed before its email is queued, so
+// it is asked once; bookings missed while the server was down are caught up on.
+async function sendFeedbackRequests() {
+  const now = new Date();
+  const durationMs = calendarService.getSessionDurationMinutes() * 60 * 1000;
+  const latestEnd = new Date(now.getTime() - getFeedbackDelayHours() * HOUR_MS);
+  const earliestEnd = new Date(now.getTime() - FEEDBACK_MAX_AGE_DAYS * 24 * HOUR_MS);
+
+  // Session.date is midnight of the session day, so widen the range by a day
+  const sessions = await Session.find({
+    date: { $gte: new Date(earliestEnd.getTime() - 24 * HOUR_MS), $lte: latestEnd }
+  }).populate('trainer', 'name');
+
+  let sentCount = 0;
+  for (const session of sessions) {
+    try {
+      const sessionEnd = new Date(session.getStartDateTime().getTime() + durationMs);
+      if (sessionEnd > latestEnd || sessionEnd < earliestEnd) {
+        continue;
+      }
+
+      const bookings = await Booking.find({
+        session: session._id,
+        status: 'attended',
+        feedbackRequestedAt: null
+      }).populate('client');
+
+      for (const booking of bookings) {
+        if (!booking.client || !notificationService.getUserChannels(booking.client).includes('email')) {
+          continue;
+        }
+
+        const claimed = await Booking.findOneAndUpdate(
+          { _id: booking._id, feedbackRequestedAt: null },
+          { $set: { feedbackRequestedAt: now } }
+        );
+        if (!claimed) continue;
+
+        const result = await emailService.sendFeedbackRequest(booking, session, booking.client, getFeedbackUrl(booking));
+        if (result.success) {
+          sentCount++;
+        } else {
+          await Booking.updateOne({ _id: booking._id }, { $unset: { feedbackRequestedAt: '' } });
+        }
+      }
+    } catch (sessionError) {
+      console.error(`Error requesting feedback for session ${session._id}:`, sessionError);
+    }
+  }
+
+  if (sentCount > 0) {
+    console.log(`Queued ${sentCount} feedback requests`);
+  }
+  return sentCount;
+}
+
+module.exports = {
+  verifyFeedbackToken,
+  getFeedbackUrl,
+  saveFeedback,
+  sendFeedbackRequests
+};
@@ -0,0 +1,119 @@
+const path = require('path');
+
+// Languages users can choose, with the locale used to format dates in them
+const LOCALES = {
+  hr: 'hr-HR',
+  en: 'en-US'
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(LOCALES);
+
+// String catalogs in locales/<language>.json
+const catalogs = {};
+SUPPORTED_LANGUAGES.forEach(language => {
+  catalogs[language] = require(path.join(__dirname, 'locales', `${language}.json`));
+});
+
+// Language for users who haven't chosen one (DEFAULT_LANGUAGE, Croatian unless set)
+function getDefaultLanguage() {
+  const language = process.env.DEFAULT_LANGUAGE;
+  return SUPPORTED_LANGUAGES.includes(language) ? language : 'hr';
+}
+
+function getLanguage(user) {
+  return user && SUPPORTED_LANGUAGES.includes(user.language) ? user.language : getDefaultLanguage();
+}
+
+function lookup(language, key) {
+  return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), catalogs[language]);
+}
+
+// Translate `key` (e.g. "booking-confirmation.subject"), replacing {{name}} with `vars.name`.
+// Entries with plural forms ({ one, few, other }) are picked by `vars.count`.
+// Missing entries fall back to English, then to the key itself.
+function translate(language, key, vars = {}) {
+  let value = lookup(language, key);
+  if (value === undefined) {
+    value = lookup('en', key);
+  }
+  if (value === undefined) {
+    return key;
+  }
+
+  if (typeof value === 'object') {
+    const form = new Intl.PluralRules(LOCALES[language]).select(vars.count);
+    value = value[form] || value.other;
+  }
+
+  return value.replace(/\{\{(\w+)\}\}/g, (match, name) => (vars[name] == null ? '' : String(vars[name])));
+}
+
+// Translation and formatting functions bound to one language, as used by templates
+function createHelpers(language) {
+  const locale = LOCALES[language];
+  const t = (key, vars) => translate(language, key, vars);
+
+  return {
+    language,
+    t,
+
+    formatDate(date) {
+      return new Date(date).toLocaleDateString(locale, {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+      });
+    },
+
+    formatDateTime(date) {
+      return new Date(date).toLocaleString(locale, {
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+      });
+    },
+
+    // Short formats for text messages, e.g. "Mon, Jan 5" and "Jan 5, 09:00 AM"
+    formatShortDate(date) {
+      return new Date(date).toLocaleDateString(locale, { weekday: 'short', month: 'short', day: 'numeric' });
+    },
+
+    formatShortDateTime(date) {
+      return new Date(date).toLocaleString(locale, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    },
+
+    formatExerciseType(exerciseType) {
+      return t(`exerciseTypes.${exerciseType}`);
+    },
+
+    formatGroupSize(groupSize) {
+      return t('common.people', { count: groupSize });
+    },
+
+    // How long until the session starts, e.g. "45 minutes", "2 hours" or "3 days"
+    formatLeadTime(startDateTime) {
+      const minutes = Math.max(0, Math.round((new Date(startDateTime) - new Date()) / (60 * 1000)));
+      if (minutes < 60) {
+        return t('common.minutes', { count: minutes });
+      }
+
+      const hours = Math.round(minutes / 60);
+      if (hours < 48) {
+        return t('common.hours', { count: hours });
+      }
+
+      return t('common.days', { count: Math.round(hours / 24) });
+    }
+  };
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  getDefaultLanguage,
+  getLanguage,
+  translate,
+  createHelpers
+};
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Keeps emails locally instead of sending them, for development and tests.
+// EMAIL_TRANSPORT picks where they go:
+//   smtp   - sent through EMAIL_HOST (default)
+//   file   - written to EMAIL_FILE_DIR (default ./mail) as <id>.eml plus <id>.json
+//   memory - kept in this process, the newest EMAIL_MEMORY_LIMIT (default 200)
+const TRANSPORT_MODES = ['smtp', 'file', 'memory'];
+
+function getTransportMode() {
+  const mode = (process.env.EMAIL_TRANSPORT || 'smtp').toLowerCase();
+  if (!TRANSPORT_MODES.includes(mode)) {
+    throw new Error(`Unknown EMAIL_TRANSPORT: ${mode} (use ${TRANSPORT_MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+function isCapturing() {
+  return getTransportMode() !== 'smtp';
+}
+
+function getFileDir() {
+  return path.resolve(process.env.EMAIL_FILE_DIR || 'mail');
+}
+
+const memoryStore = {
+  messages: [],
+
+  async save(record) {
+    const limit = parseInt(process.env.EMAIL_MEMORY_LIMIT) || 200;
+    this.messages.unshift(record);
+    this.messages.length = Math.min(this.messages.length, limit);
+  },
+
+  async list() {
+    return this.messages.map(({ raw, ...summary }) => summary);
+  },
+
+  async get(id) {
+    return this.messages.find(message => message.id === id) || null;
+  },
+
+  async clear() {
+    const count = this.messages.length;
+    this.messages = [];
+    return count;
+  }
+};
+
+const fileStore = {
+  async save(record) {
+    const dir = getFileDir();
+    const { raw, ...fields } = record;
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, `${record.id}.eml`), raw);
+    await fs.promises.writeFile(path.join(dir, `${record.id}.json`), JSON.stringify(fields, null, 2));
+  },
+
+  async list() {
+    let files;
+    try {
+      files = await fs.promises.readdir(getFileDir());
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const messages = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(async file => JSON.parse(await fs.promises.readFile(path.join(getFileDir(), file), 'utf8'))));
+
+    return messages
+      .map(({ html, text, ...summary }) => summary)
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+  },
+
+  async get(id) {
+    // Ids are generated here; anything else can't name a captured message
+    if (!/^[\w-]+$/.test(id)) {
+      return null;
+    }
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(getFileDir(), `${id}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  },
+
+  async clear() {
+    let files;
+    try {
+      files = await fs.promises.readdir(getFileDir());
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    const captured = files.filter(file => file.endsWith('.json') || file.endsWith('.eml'));
+    await Promise.all(captured.map(file => fs.promises.unlink(path.join(getFileDir(), file))));
+    return captured.filter(file => file.endsWith('.json')).length;
+  }
+};
+
+function getStore() {
+  return getTransportMode() === 'file' ? fileStore : memoryStore;
+}
+
+// A nodemailer transport that stores messages instead of sending them
+function createCaptureTransport() {
+  return {
+    name: 'capture',
+    version: '1.0.0',
+    send(mail, callback) {
+      mail.message.build(async (buildError, raw) => {
+        if (buildError) {
+          return callback(buildError);
+        }
+
+        const data = mail.data;
+        const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        const messageId = mail.message.messageId();
+        try {
+          await getStore().save({
+            id,
+            messageId,
+            date: new Date(),
+            from: data.from,
+            to: data.to,
+            subject: data.subject,
+            text: data.text,
+            html: data.html,
+            hasCalendarInvite: !!data.icalEvent,
+            raw
+          });
+          callback(null, { messageId, envelope: mail.message.getEnvelope() });
+        } catch (error) {
+          callback(error);
+        }
+      });
+    }
+  };
+}
+
+module.exports = {
+  getTransportMode,
+  isCapturing,
+  createCaptureTransport,
+  listMessages: () => getStore().list(),
+  getMessage: id => getStore().get(id),
+  clearMessages: () => getStore().clear()
+};
@@ -11,20 +11,68 @@ const BookingSchema = new mongoose.Schema({
   },
   status: { 
     type: String, 
-    enum: ['confirmed', 'cancelled'], 
+    enum: ['confirmed', 'attended', 'no-show', 'cancelled'], 
     default: 'confirmed' 
   },
+  // One entry per participant of the group who showed up (participant 1..groupSize)
+  checkIns: [{
+    _id: false,
+    participant: { type: Number, min: 1, max: 4, required: true },
+    checkedInAt: { type: Date, default: Date.now },
+    checkedInBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  }],
+  attendanceMarkedAt: { type: Date },
+  attendanceMarkedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // True when the scheduler resolved attendance because nobody marked it
+  attendanceAutoMarked: { type: Boolean, default: false },
   notes: { 
     type: String, 
     default: '',
     maxLength: 1000
   },
-  reminderSent: { type: Boolean, default: false },
+  // Cancellation history - bookings are never deleted, only moved to 'cancelled'
+  cancelledAt: { type: Date },
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  cancellationReason: {
+    type: String,
+    default: '',
+    maxLength: 500
+  },
+  lateCancellation: { type: Boolean, default: false },
+  // What the cancellation policy did with a late cancellation
+  lateCancellationOutcome: {
+    type: String,
+    enum: ['grace', 'waived', 'credit-forfeited', 'fee-charged', 'warned']
+  },
+  lateCancellationFee: { type: Number, min: 0, default: 0 },
+  // One entry per reminder sent, by its lead time in minutes (see REMINDER_OFFSETS).
+  // The scheduler claims an entry before sending and sets sentAt once it is queued.
+  remindersSent: [{
+    _id: false,
+    offsetMinutes: { type: Number, required: true },
+    claimedAt: { type: Date, default: Date.now },
+    sentAt: { type: Date }
+  }],
   canCancel: { type: Boolean, default: true },
   cancellationDeadline: { type: Date },
+  // Moves to another session; the booking keeps its identity and package details
+  rescheduleCount: { type: Number, default: 0, min: 0 },
+  // iCalendar SEQUENCE of the booking's calendar event; raised whenever the event changes
+  icalSequence: { type: Number, default: 0, min: 0 },
+  rescheduleHistory: [{
+    _id: false,
+    fromSession: { type: mongoose.Schema.Types.ObjectId, ref: 'Session' },
+    toSession: { type: mongoose.Schema.Types.ObjectId, ref: 'Session' },
+    rescheduledAt: { type: Date, default: Date.now },
+    rescheduledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  }],
   isPackageBooking: { type: Boolean, default: false },
-  packageId: { type: String },
-  sessionNumber: { type: Number, min: 1, max: 8 },
+  // Package the booking's credit was taken from (see PackageLedgerEntry)
+  package: { type: mongoose.Schema.Types.ObjectId, ref: 'Package' },
+  // Position of the booking among the sessions of its package
+  sessionNumber: { type: Number, min: 1 },
+  // When the post-session feedback email was queued (see feedbackService)
+  feedbackRequestedAt: { type: Date },
   createdAt: { type: Date, default: Date.now }
 });
 
@@ -33,17 +81,14 @@ BookingSchema.methods.isCancellable = function() {
   return new Date() < this.cancellationDeadline;
 };
 
-// Method to calculate cancellation deadline
+// Method to calculate cancellation deadline from the session's cancellation policy
 BookingSchema.methods.calculateCancellationDeadline = async function() {
   const Session = require('./Session');
+  const CancellationPolicy = require('./CancellationPolicy');
   const session = await Session.findById(this.session);
   if (session) {
-    const sessionDate = new Date(session.date);
-    const [hours, minutes] = session.time.split(':');
-    sessionDate.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-    
-    // 24 hours before session time
-    return new Date(sessionDate.getTime() - (24 * 60 * 60 * 1000));
+    const policy = await CancellationPolicy.resolveForSession(session);
+    return new Date(session.getStartDateTime().getTime() - (policy.freeCancellationHours * 60 * 60 * 1000));
   }
   return null;
 };
@@ -61,6 +106,44 @@ BookingSchema.pre('save', async function(next) {
   next();
 });
 
+// Static method to atomically cancel a confirmed booking and give its spots back.
+// Resolves to null when the booking was not confirmed (e.g. already cancelled).
+BookingSchema.statics.cancel = async function(bookingId, { cancelledBy, reason = '', isLate = false, lateOutcome, lateFee = 0 } = {}) {
+  const Session = require('./Session');
+  const booking = await this.findOneAndUpdate(
+    { _id: bookingId, status: 'confirmed' },
+    {
+      $set: {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancelledBy,
+        cancellationReason: reason,
+        lateCancellation: isLate,
+        lateCancellationOutcome: isLate ? lateOutcome : undefined,
+        lateCancellationFee: isLate ? lateFee : 0,
+        canCancel: false
+      },
+      $inc: { icalSequence: 1 }
+    },
+    { new: true }
+  );
+
+  if (booking) {
+    await Session.releaseSpots(booking.session, booking.groupSize);
+  }
+  return booking;
+};
+
+// Static method to count the grace late cancellations a client has used on a package
+BookingSchema.statics.countGraceCancellations = function(clientId, packageId) {
+  return this.countDocuments({
+    client: clientId,
+    package: packageId,
+    status: 'cancelled',
+    lateCancellationOutcome: 'grace'
+  });
+};
+
 // Static method to get bookings for a client
 BookingSchema.statics.getClientBookings = function(clientId, status = 'confirmed') {
   return this.find({ client: clientId, status }).populate({
@@ -71,7 +154,7 @@ BookingSchema.statics.getClientBookings = function(clientId, status = 'confirmed
 
 // Static method to get bookings for a session
 BookingSchema.statics.getSessionBookings = function(sessionId, status = 'confirmed') {
-  return this.find({ session: sessionId, status }).populate('client');
+  return this.find({ session: sessionId, status }).populate(['client', { path: 'package', select: 'name totalCredits' }]);
 };
 
 // Static method to get all bookings with full details for admin
@@ -82,9 +165,61 @@ BookingSchema.statics.getAllBookingsWithDetails = function(status = 'confirmed')
   ]).sort({ createdAt: -1 });
 };
 
+// Static method to get cancelled bookings, most recent first, for admin history
+BookingSchema.statics.getCancellationHistory = function(filter = {}) {
+  return this.find({ ...filter, status: 'cancelled' }).populate([
+    { path: 'session', populate: { path: 'trainer' } },
+    'client',
+    { path: 'cancelledBy', select: 'name email role' }
+  ]).sort({ cancelledAt: -1 });
+};
+
+// Static method to get attendance rates per client and per trainer for the admin dashboard
+BookingSchema.statics.getAttendanceStats = async function() {
+  const rateStages = (groupBy, userCollectionField) => [
+    {
+      $group: {
+        _id: groupBy,
+        attended: { $sum: { $cond: [{ $eq: ['$status', 'attended'] }, 1, 0] } },
+        noShows: { $sum: { $cond: [{ $eq: ['$status', 'no-show'] }, 1, 0] } },
+        autoMarked: { $sum: { $cond: ['$attendanceAutoMarked', 1, 0] } }
+      }
+    },
+    { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: userCollectionField } },
+    { $unwind: '$' + userCollectionField },
+    {
+      $project: {
+        name: '$' + userCollectionField + '.name',
+        attended: 1,
+        noShows: 1,
+        autoMarked: 1,
+        attendanceRate: {
+          $round: [{ $multiply: [{ $divide: ['$attended', { $add: ['$attended', '$noShows'] }] }, 100] }, 0]
+        }
+      }
+    },
+    { $sort: { attendanceRate: 1, name: 1 } }
+  ];
+
+  const [stats] = await this.aggregate([
+    { $match: { status: { $in: ['attended', 'no-show'] } } },
+    { $lookup: { from: 'sessions', localField: 'session', foreignField: '_id', as: 'session' } },
+    { $unwind: '$session' },
+    {
+      $facet: {
+        byClient: rateStages('$client', 'client'),
+        byTrainer: rateStages('$session.trainer', 'trainer')
+      }
+    }
+  ]);
+
+  return stats || { byClient: [], byTrainer: [] };
+};
+
 // Add indexes for better performance
 BookingSchema.index({ session: 1, client: 1 });
 BookingSchema.index({ client: 1, status: 1 });
 BookingSchema.index({ session: 1, status: 1 });
+BookingSchema.index({ status: 1, cancelledAt: -1 });
 
 module.exports = mongoose.model('Booking', BookingSchema);
\ No newline at end of file
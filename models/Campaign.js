@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A broadcast email to a segment, sent at `scheduledAt`. Recipients are worked out
+// when the campaign is sent, so they match the segment at that time.
+const CampaignSchema = new mongoose.Schema({
+  segment: { type: mongoose.Schema.Types.ObjectId, ref: 'Segment', required: true },
+  // Copied from the segment, so the history still reads right if the segment is deleted
+  segmentName: { type: String, required: true },
+  subject: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 200
+  },
+  message: {
+    type: String,
+    required: true,
+    maxLength: 5000
+  },
+  scheduledAt: { type: Date, required: true, default: Date.now },
+  status: {
+    type: String,
+    enum: ['scheduled', 'sending', 'sent', 'cancelled', 'failed'],
+    default: 'scheduled'
+  },
+  recipientCount: { type: Number, default: 0 },
+  queuedCount: { type: Number, default: 0 },
+  error: { type: String },
+  startedAt: { type: Date },
+  sentAt: { type: Date },
+  cancelledAt: { type: Date },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Static method to atomically claim the next scheduled campaign that is due.
+// Campaigns left in 'sending' by a process that died are claimed again after `staleMs`;
+// messages already queued for them are skipped by their idempotency keys.
+CampaignSchema.statics.claimDue = function(staleMs) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'scheduled', scheduledAt: { $lte: now } },
+        { status: 'sending', startedAt: { $lte: new Date(now.getTime() - staleMs) } }
+      ]
+    },
+    { $set: { status: 'sending', startedAt: now } },
+    { new: true, sort: { scheduledAt: 1 } }
+  );
+};
+
+CampaignSchema.index({ status: 1, scheduledAt: 1 });
+CampaignSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Campaign', CampaignSchema);
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+// Policy used when an admin has not configured one
+const BUILT_IN_POLICY = {
+  name: 'Standard policy',
+  scope: 'default',
+  freeCancellationHours: 24,
+  lateCancellationAction: 'block',
+  lateCancellationFee: 0,
+  graceCancellations: 0
+};
+
+const CancellationPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100
+  },
+  // A session policy wins over an exercise type policy, which wins over the default
+  scope: {
+    type: String,
+    enum: ['default', 'exerciseType', 'session'],
+    required: true
+  },
+  exerciseType: {
+    type: String,
+    enum: ['body-health', 'regular-training'],
+    required: function() { return this.scope === 'exerciseType'; }
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: function() { return this.scope === 'session'; }
+  },
+  // Cancelling at least this many hours before the session is always free
+  freeCancellationHours: {
+    type: Number,
+    min: 0,
+    max: 720,
+    required: true
+  },
+  lateCancellationAction: {
+    type: String,
+    enum: ['block', 'forfeit-credit', 'charge-fee', 'allow-with-warning'],
+    required: true
+  },
+  lateCancellationFee: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Late cancellations a client may make for free per package
+  graceCancellations: {
+    type: Number,
+    min: 0,
+    max: 10,
+    default: 0
+  },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Method to describe what happens on a late cancellation, for clients and emails
+CancellationPolicySchema.methods.describeLateCancellation = function() {
+  switch (this.lateCancellationAction) {
+    case 'forfeit-credit':
+      return 'Late cancellations are allowed, but the session is not refunded to your package.';
+    case 'charge-fee':
+      return `Late cancellations are allowed for a fee of ${this.lateCancellationFee}.`;
+    case 'allow-with-warning':
+      return 'Late cancellations are allowed, but please let us know as early as possible.';
+    default:
+      return 'After this deadline, cancellations are not allowed.';
+  }
+};
+
+// The most specific of the active policies that applies to the session
+function pickPolicy(Model, policies, session) {
+  return policies.find(policy => policy.scope === 'session' && String(policy.session) === String(session._id))
+    || policies.find(policy => policy.scope === 'exerciseType' && policy.exerciseType === session.exerciseType)
+    || policies.find(policy => policy.scope === 'default')
+    || new Model(BUILT_IN_POLICY);
+}
+
+// Static method to find the policy that applies to a session.
+// Falls back to the built-in 24 hour policy when nothing is configured.
+CancellationPolicySchema.statics.resolveForSession = async function(session) {
+  const candidates = await this.find({
+    isActive: true,
+    $or: [
+      { scope: 'session', session: session._id },
+      { scope: 'exerciseType', exerciseType: session.exerciseType },
+      { scope: 'default' }
+    ]
+  });
+
+  return pickPolicy(this, candidates, session);
+};
+
+// Static method to resolve the policies of many sessions with one query.
+// Resolves to an object mapping session ids to their policy.
+CancellationPolicySchema.statics.resolveForSessions = async function(sessions) {
+  const candidates = await this.find({ isActive: true });
+  const policies = {};
+  sessions.forEach(session => {
+    policies[session._id.toString()] = pickPolicy(this, candidates, session);
+  });
+  return policies;
+};
+
+// Static method to list active policies in resolution order for the admin page
+CancellationPolicySchema.statics.getActivePolicies = function() {
+  return this.find({ isActive: true })
+    .populate('session', 'date time exerciseType')
+    .sort({ scope: 1, exerciseType: 1, createdAt: -1 });
+};
+
+// Only one active policy per exercise type, per session and one default
+CancellationPolicySchema.index(
+  { scope: 1, exerciseType: 1, session: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+module.exports = mongoose.model('CancellationPolicy', CancellationPolicySchema);
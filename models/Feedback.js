@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A client's rating of an attended session, one per booking. Trainer and exercise
+// type are copied from the session so reports don't change if the session is edited.
+const FeedbackSchema = new mongoose.Schema({
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: true },
+  client: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  session: { type: mongoose.Schema.Types.ObjectId, ref: 'Session', required: true },
+  trainer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  exerciseType: {
+    type: String,
+    enum: ['body-health', 'regular-training'],
+    required: true
+  },
+  rating: { type: Number, required: true, min: 1, max: 5 },
+  comment: {
+    type: String,
+    default: '',
+    maxLength: 1000
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Static method to get the average rating and number of ratings per trainer and per exercise type
+FeedbackSchema.statics.getRatingSummary = async function() {
+  const [summary] = await this.aggregate([
+    {
+      $facet: {
+        byTrainer: [
+          { $group: { _id: '$trainer', averageRating: { $avg: '$rating' }, count: { $sum: 1 } } },
+          { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'trainer' } },
+          { $project: { averageRating: 1, count: 1, name: { $arrayElemAt: ['$trainer.name', 0] } } },
+          { $sort: { averageRating: -1 } }
+        ],
+        byExerciseType: [
+          { $group: { _id: '$exerciseType', averageRating: { $avg: '$rating' }, count: { $sum: 1 } } },
+          { $sort: { _id: 1 } }
+        ]
+      }
+    }
+  ]);
+  return summary;
+};
+
+FeedbackSchema.index({ booking: 1 }, { unique: true });
+FeedbackSchema.index({ trainer: 1, createdAt: -1 });
+FeedbackSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Feedback', FeedbackSchema);
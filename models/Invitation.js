@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const validator = require('validator');
+
+// An admin's invitation for someone to create an account with a given role. The link
+// in the invitation email carries a random token; only its hash is stored here, so the
+// database alone can't be used to accept invitations. Each invitation works once.
+const InvitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    validate: [validator.isEmail, 'Invalid email address']
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'client'],
+    required: true
+  },
+  // Language of the invitation email and of the new account (DEFAULT_LANGUAGE if unset)
+  language: { type: String, enum: ['hr', 'en'] },
+  tokenHash: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  acceptedAt: { type: Date },
+  acceptedUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  revokedAt: { type: Date },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Method to tell where the invitation stands: pending, accepted, revoked or expired
+InvitationSchema.methods.getStatus = function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+};
+
+// Static method to create an invitation valid for INVITATION_TTL_HOURS (default 72).
+// Pending invitations for the same email are revoked, so only the newest link works.
+// Resolves to { invitation, token }; the token is only available here.
+InvitationSchema.statics.issue = async function({ email, role, language, invitedBy }) {
+  const ttlHours = parseInt(process.env.INVITATION_TTL_HOURS) || 72;
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+
+  await this.updateMany(
+    { email: String(email).toLowerCase(), acceptedAt: null, revokedAt: null },
+    { $set: { revokedAt: now } }
+  );
+
+  const invitation = await this.create({
+    email,
+    role,
+    language,
+    invitedBy,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(now.getTime() + (ttlHours * 60 * 60 * 1000))
+  });
+
+  return { invitation, token };
+};
+
+// Static method to find the pending invitation a token belongs to
+InvitationSchema.statics.findUsable = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to atomically mark an invitation accepted, so a link can't be used twice.
+// Resolves to null when the invitation is no longer pending.
+InvitationSchema.statics.claim = function(invitationId) {
+  return this.findOneAndUpdate(
+    { _id: invitationId, acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { acceptedAt: new Date() } },
+    { new: true }
+  );
+};
+
+InvitationSchema.index({ tokenHash: 1 }, { unique: true });
+InvitationSchema.index({ email: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Invitation', InvitationSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Lease on a scheduled job, so that when several app instances run the same cron
+// schedule only one of them does the work. A lease runs out by itself if its
+// holder dies, and records when the job last ran for catch-up after downtime.
+const JobLockSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  // Run holding the lease (hostname:pid:random:random per run)
+  owner: { type: String },
+  lockedUntil: { type: Date },
+  lastStartedAt: { type: Date },
+  lastFinishedAt: { type: Date },
+  lastSucceededAt: { type: Date },
+  lastError: { type: String }
+});
+
+// Static method to take the lease on a job for `leaseMs`. Resolves to the lock, or
+// null when an unexpired lease is held, even by another run of the same process.
+JobLockSchema.statics.acquire = async function(name, owner, leaseMs) {
+  const now = new Date();
+  try {
+    return await this.findOneAndUpdate(
+      {
+        name,
+        $or: [
+          { lockedUntil: { $lte: now } },
+          { lockedUntil: null }
+        ]
+      },
+      { $set: { owner, lockedUntil: new Date(now.getTime() + leaseMs), lastStartedAt: now } },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // The upsert lost the race against a lock held by someone else
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Static method to extend a lease the caller still holds. Resolves to false if it was lost.
+JobLockSchema.statics.renew = async function(name, owner, leaseMs) {
+  const result = await this.updateOne(
+    { name, owner, lockedUntil: { $gt: new Date() } },
+    { $set: { lockedUntil: new Date(Date.now() + leaseMs) } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Static method to give up a lease, recording how the run went
+JobLockSchema.statics.release = function(name, owner, error) {
+  const now = new Date();
+  const update = error
+    ? { $set: { lockedUntil: now, lastFinishedAt: now, lastError: error.message } }
+    : { $set: { lockedUntil: now, lastFinishedAt: now, lastSucceededAt: now }, $unset: { lastError: '' } };
+  return this.updateOne({ name, owner }, update);
+};
+
+module.exports = mongoose.model('JobLock', JobLockSchema);
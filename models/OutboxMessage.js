@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+// An outgoing email, SMS or webhook call. Notifications are written here and delivered by
+// the outbox worker, so a slow or failing mail server, SMS gateway or receiver never holds
+// up a request.
+const OutboxMessageSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['email', 'sms', 'webhook'],
+    default: 'email'
+  },
+  // Email address, phone number or webhook URL
+  to: { type: String, required: true, lowercase: true, trim: true },
+  subject: {
+    type: String,
+    required: function() {
+      return this.channel === 'email';
+    }
+  },
+  // Message body; for webhooks the JSON payload
+  text: { type: String, default: '' },
+  html: { type: String, default: '' },
+  // Calendar invite sent along with the message (see calendarService)
+  icalEvent: {
+    method: { type: String, enum: ['REQUEST', 'CANCEL'] },
+    filename: { type: String },
+    content: { type: String }
+  },
+  // Kind of notification, e.g. 'booking-confirmation'
+  type: { type: String, required: true },
+  // Messages with the same key are only ever queued once
+  idempotencyKey: { type: String },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 5, min: 1 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  // A worker owns a 'sending' message until this time; afterwards it is picked up again
+  lockedUntil: { type: Date },
+  // Token of the claim that is sending the message; only that claim may record the outcome
+  claimedBy: { type: String },
+  lastError: { type: String },
+  // One entry per delivery attempt, kept when a failed message is resent
+  deliveryAttempts: [{
+    at: { type: Date, default: Date.now },
+    error: { type: String },
+    providerMessageId: { type: String }
+  }],
+  sentAt: { type: Date },
+  providerMessageId: { type: String },
+  // What the message is about, for looking messages up
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+  session: { type: mongoose.Schema.Types.ObjectId, ref: 'Session' },
+  campaign: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign' },
+  webhookEndpoint: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookEndpoint' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Static method to queue a message. Resolves to { message } or, when a message with
+// the same idempotency key was queued before, to { duplicate: true }.
+OutboxMessageSchema.statics.enqueue = async function(fields) {
+  try {
+    return { message: await this.create(fields) };
+  } catch (error) {
+    if (error.code === 11000 && fields.idempotencyKey) {
+      return { duplicate: true };
+    }
+    throw error;
+  }
+};
+
+// Static method to atomically claim the next message that is due for delivery.
+// Messages stuck in 'sending' by a worker that died are claimed again once their lock expires.
+// `claimedBy` identifies this claim in later updates of the message.
+OutboxMessageSchema.statics.claimNext = function(lockMs, claimedBy) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: { status: 'sending', lockedUntil: new Date(now.getTime() + lockMs), claimedBy },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Static method to extend the lock of a message the claim is still sending.
+// Resolves to false if the claim was lost.
+OutboxMessageSchema.statics.renewClaim = async function(messageId, claimedBy, lockMs) {
+  const result = await this.updateOne(
+    { _id: messageId, status: 'sending', claimedBy },
+    { $set: { lockedUntil: new Date(Date.now() + lockMs) } }
+  );
+  return result.modifiedCount > 0;
+};
+
+OutboxMessageSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+OutboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+OutboxMessageSchema.index({ status: 1, createdAt: -1 });
+OutboxMessageSchema.index({ booking: 1 });
+OutboxMessageSchema.index({ user: 1, createdAt: -1 });
+OutboxMessageSchema.index({ type: 1, createdAt: -1 });
+OutboxMessageSchema.index({ campaign: 1, status: 1 });
+OutboxMessageSchema.index({ webhookEndpoint: 1, createdAt: -1 });
+
+module.exports = mongoose.model('OutboxMessage', OutboxMessageSchema);
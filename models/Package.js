@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// A package of session credits a client bought. The credit balance is never
+// stored here - it is the sum of the package's PackageLedgerEntry records.
+const PackageSchema = new mongoose.Schema({
+  client: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100
+  },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'PackageProduct' },
+  totalCredits: { type: Number, required: true, min: 1 },
+  price: { type: Number, min: 0 },
+  // Copied from the product; packages without them can pay for any session
+  exerciseTypes: [{ type: String, enum: ['body-health', 'regular-training'] }],
+  maxGroupSize: { type: Number, min: 1, max: 4, default: 4 },
+  purchasedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  status: {
+    type: String,
+    enum: ['active', 'expired', 'closed'],
+    default: 'active'
+  },
+  // Held while a ledger entry is written so concurrent debits can't spend the same credit
+  ledgerLockedUntil: { type: Date, default: null },
+  // Token of the call holding the ledger lock; only that call may release it
+  ledgerLockToken: { type: String, default: null },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Method to check if the package can still pay for sessions
+PackageSchema.methods.isUsable = function() {
+  return this.status === 'active' && new Date() < this.expiresAt;
+};
+
+// Method to check if the package may pay for a booking of the given session and group size
+PackageSchema.methods.canPayFor = function(session, groupSize) {
+  const coversType = this.exerciseTypes.length === 0 || this.exerciseTypes.includes(session.exerciseType);
+  return coversType && groupSize <= this.maxGroupSize;
+};
+
+// Static method to get a client's packages, newest first
+PackageSchema.statics.getClientPackages = function(clientId) {
+  return this.find({ client: clientId }).sort({ purchasedAt: -1 });
+};
+
+PackageSchema.index({ client: 1, status: 1, expiresAt: 1 });
+PackageSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('Package', PackageSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// One immutable credit movement on a package. Corrections are made by adding
+// another entry, never by changing or removing an existing one.
+const PackageLedgerEntrySchema = new mongoose.Schema({
+  package: { type: mongoose.Schema.Types.ObjectId, ref: 'Package', required: true },
+  client: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: {
+    type: String,
+    enum: ['purchase', 'booking', 'refund', 'adjustment', 'expiry'],
+    required: true
+  },
+  // Positive adds credits, negative spends them
+  credits: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Credits must be a whole number'
+    }
+  },
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+  note: {
+    type: String,
+    default: '',
+    maxLength: 500
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+PackageLedgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Package ledger entries cannot be changed'));
+  }
+  next();
+});
+
+const immutableError = function(next) {
+  next(new Error('Package ledger entries cannot be changed'));
+};
+PackageLedgerEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], immutableError);
+PackageLedgerEntrySchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'], immutableError);
+
+// Static method to get the current credit balance of one or more packages as { packageId: balance }
+PackageLedgerEntrySchema.statics.getBalances = async function(packageIds) {
+  const totals = await this.aggregate([
+    { $match: { package: { $in: packageIds.map(id => new mongoose.Types.ObjectId(id)) } } },
+    { $group: { _id: '$package', balance: { $sum: '$credits' } } }
+  ]);
+
+  const balances = {};
+  packageIds.forEach(id => { balances[id.toString()] = 0; });
+  totals.forEach(total => { balances[total._id.toString()] = total.balance; });
+  return balances;
+};
+
+// Static method to get the ledger of a client's packages, most recent first
+PackageLedgerEntrySchema.statics.getClientHistory = function(clientId) {
+  return this.find({ client: clientId })
+    .populate({ path: 'booking', select: 'session status', populate: { path: 'session', select: 'date time exerciseType' } })
+    .populate('createdBy', 'name role')
+    .sort({ createdAt: -1 });
+};
+
+PackageLedgerEntrySchema.index({ package: 1, createdAt: 1 });
+PackageLedgerEntrySchema.index({ client: 1, createdAt: -1 });
+PackageLedgerEntrySchema.index({ booking: 1, type: 1 });
+
+module.exports = mongoose.model('PackageLedgerEntry', PackageLedgerEntrySchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A package admins can sell or assign to clients. Packages copy the product's
+// terms when they are created, so editing a product never changes packages already sold.
+const PackageProductSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100
+  },
+  description: {
+    type: String,
+    default: '',
+    maxLength: 500
+  },
+  credits: { type: Number, required: true, min: 1, max: 100 },
+  validityDays: { type: Number, required: true, min: 1, max: 730 },
+  price: { type: Number, required: true, min: 0 },
+  // Exercise types the package can pay for
+  exerciseTypes: {
+    type: [{ type: String, enum: ['body-health', 'regular-training'] }],
+    validate: {
+      validator: function(v) {
+        return Array.isArray(v) && v.length > 0;
+      },
+      message: 'At least one exercise type is required'
+    }
+  },
+  maxGroupSize: { type: Number, required: true, min: 1, max: 4 },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Static method to get the products on sale, cheapest first
+PackageProductSchema.statics.getActiveProducts = function() {
+  return this.find({ isActive: true }).sort({ price: 1, name: 1 });
+};
+
+module.exports = mongoose.model('PackageProduct', PackageProductSchema);
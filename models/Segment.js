@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// A saved group of clients that broadcasts can be sent to. Members are worked out
+// from `rule` each time the segment is used (see campaignService.getSegmentRecipients).
+const SegmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100
+  },
+  rule: {
+    type: String,
+    // all-clients       - every client
+    // packages-expiring - clients with an active package expiring within `days`
+    // inactive          - clients with no booked session in the last `days` and none coming up
+    // booked-next-week  - clients booked in the next 7 days, optionally with `trainer` / of `exerciseType`
+    enum: ['all-clients', 'packages-expiring', 'inactive', 'booked-next-week'],
+    required: true
+  },
+  days: {
+    type: Number,
+    min: 1,
+    max: 365,
+    required: function() {
+      return this.rule === 'packages-expiring' || this.rule === 'inactive';
+    }
+  },
+  trainer: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  exerciseType: {
+    type: String,
+    enum: ['body-health', 'regular-training']
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Method to describe who the segment targets, for admin screens
+SegmentSchema.methods.describe = function() {
+  switch (this.rule) {
+    case 'packages-expiring':
+      return `Clients with a package expiring within ${this.days} days`;
+    case 'inactive':
+      return `Clients with no booking in the last ${this.days} days`;
+    case 'booked-next-week': {
+      const filters = [];
+      if (this.trainer) {
+        filters.push(`with ${this.trainer.name || 'the selected trainer'}`);
+      }
+      if (this.exerciseType) {
+        filters.push(this.exerciseType === 'body-health' ? 'for Body Health' : 'for Regular Training');
+      }
+      return ['Clients booked in the next 7 days', ...filters].join(' ');
+    }
+    default:
+      return 'All clients';
+  }
+};
+
+module.exports = mongoose.model('Segment', SegmentSchema);
@@ -25,6 +25,13 @@ const SessionSchema = new mongoose.Schema({
   },
   currentBookings: { type: Number, default: 0, min: 0 },
   isActive: { type: Boolean, default: true },
+  // Set when an admin cancels the session; cancelled sessions are kept for booking history
+  cancelledAt: { type: Date },
+  cancellationReason: {
+    type: String,
+    default: '',
+    maxLength: 500
+  },
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   trainer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   description: { 
@@ -32,21 +39,25 @@ const SessionSchema = new mongoose.Schema({
     default: '',
     maxLength: 500
   },
+  // Price of a single session; packages are sold separately (see PackageProduct)
   price: { type: Number, required: true, min: 0 },
-  packagePrice: { type: Number, required: true, min: 0 },
-  packageDuration: { type: Number, default: 90, min: 1 },
+  // Recurring series this session was generated from (null for one-off sessions)
+  series: { type: mongoose.Schema.Types.ObjectId, ref: 'SessionSeries', default: null },
   createdAt: { type: Date, default: Date.now }
 });
 
+// Method to get the date and time the session starts
+SessionSchema.methods.getStartDateTime = function() {
+  const startDateTime = new Date(this.date);
+  const [hours, minutes] = this.time.split(':');
+  startDateTime.setHours(parseInt(hours), parseInt(minutes), 0, 0);
+  return startDateTime;
+};
+
 // Method to get available spots
+// currentBookings is only ever changed through the atomic statics below
 SessionSchema.methods.getAvailableSpots = async function() {
-  const Booking = require('./Booking');
-  const bookings = await Booking.find({ 
-    session: this._id, 
-    status: 'confirmed' 
-  });
-  const totalBooked = bookings.reduce((sum, booking) => sum + booking.groupSize, 0);
-  return this.maxCapacity - totalBooked;
+  return this.maxCapacity - this.currentBookings;
 };
 
 // Method to check if session has capacity for group size
@@ -55,6 +66,68 @@ SessionSchema.methods.hasCapacity = async function(groupSize) {
   return availableSpots >= groupSize;
 };
 
+// Static method to atomically reserve spots - resolves to null when they don't fit,
+// so two clients can never both take the last spot
+SessionSchema.statics.reserveSpots = function(sessionId, spots) {
+  return this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      isActive: true,
+      $expr: { $lte: [{ $add: ['$currentBookings', spots] }, '$maxCapacity'] }
+    },
+    { $inc: { currentBookings: spots } },
+    { new: true }
+  );
+};
+
+// Static method to give reserved spots back
+SessionSchema.statics.releaseSpots = async function(sessionId, spots) {
+  const session = await this.findOneAndUpdate(
+    { _id: sessionId, currentBookings: { $gte: spots } },
+    { $inc: { currentBookings: -spots } },
+    { new: true }
+  );
+
+  // Counter drifted below what is being released - rebuild it from the bookings
+  if (!session) {
+    await this.syncBookingCounts({ _id: sessionId });
+  }
+  return session;
+};
+
+// Static method to rebuild currentBookings from bookings that hold spots. Each session
+// is rewritten with one conditional $set that only applies if its counter hasn't moved
+// since it was read, so reservations made meanwhile are kept. Runs once at startup after
+// an upgrade and from scripts/sync-booking-counts.js.
+SessionSchema.statics.syncBookingCounts = async function(filter = {}) {
+  const Booking = require('./Booking');
+  const sessions = await this.find(filter, '_id currentBookings');
+  if (sessions.length === 0) {
+    return 0;
+  }
+
+  const totals = await Booking.aggregate([
+    { $match: { session: { $in: sessions.map(session => session._id) }, status: { $ne: 'cancelled' } } },
+    { $group: { _id: '$session', total: { $sum: '$groupSize' } } }
+  ]);
+  const totalBySession = {};
+  totals.forEach(({ _id, total }) => { totalBySession[_id.toString()] = total; });
+
+  const updates = sessions
+    .filter(session => session.currentBookings !== (totalBySession[session._id.toString()] || 0))
+    .map(session => ({
+      updateOne: {
+        filter: { _id: session._id, currentBookings: session.currentBookings },
+        update: { $set: { currentBookings: totalBySession[session._id.toString()] || 0 } }
+      }
+    }));
+
+  if (updates.length > 0) {
+    await this.bulkWrite(updates);
+  }
+  return updates.length;
+};
+
 // Static method to get sessions for a date range
 SessionSchema.statics.getSessionsInDateRange = function(startDate, endDate) {
   return this.find({
@@ -81,9 +154,14 @@ SessionSchema.statics.getSessionsByDate = function(date) {
   }).populate(['createdBy', 'trainer']);
 };
 
-// Index for unique trainer/date/time combinations (allows multiple trainers at same time)
-SessionSchema.index({ trainer: 1, date: 1, time: 1 }, { unique: true });
+// Index for unique trainer/date/time combinations (allows multiple trainers at same time).
+// Cancelled sessions are kept, so only active ones reserve the slot.
+SessionSchema.index(
+  { trainer: 1, date: 1, time: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
 SessionSchema.index({ date: 1 });
 SessionSchema.index({ trainer: 1 });
+SessionSchema.index({ series: 1, date: 1 });
 
 module.exports = mongoose.model('Session', SessionSchema);
\ No newline at end of file
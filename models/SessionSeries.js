@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const SessionSeriesSchema = new mongoose.Schema({
+  // Days of the week the series repeats on (0 = Sunday ... 6 = Saturday)
+  daysOfWeek: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    required: true,
+    validate: {
+      validator: function(v) {
+        return Array.isArray(v) && v.length > 0;
+      },
+      message: 'At least one day of the week is required'
+    }
+  },
+  time: {
+    type: String,
+    required: true,
+    validate: {
+      validator: function(v) {
+        return /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(v);
+      },
+      message: 'Invalid time format. Use HH:MM'
+    }
+  },
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, required: true },
+  exerciseType: {
+    type: String,
+    enum: ['body-health', 'regular-training'],
+    required: true
+  },
+  maxCapacity: {
+    type: Number,
+    min: 1,
+    max: 4,
+    required: true
+  },
+  trainer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  description: {
+    type: String,
+    default: '',
+    maxLength: 500
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Method to list every date the series occurs on (UTC midnight, like Session.date)
+SessionSeriesSchema.methods.getOccurrenceDates = function() {
+  const dates = [];
+  const current = new Date(this.startDate);
+  current.setUTCHours(0, 0, 0, 0);
+
+  while (current <= this.endDate) {
+    if (this.daysOfWeek.includes(current.getUTCDay())) {
+      dates.push(new Date(current));
+    }
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+
+  return dates;
+};
+
+SessionSeriesSchema.index({ trainer: 1 });
+
+module.exports = mongoose.model('SessionSeries', SessionSeriesSchema);
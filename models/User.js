@@ -16,6 +16,22 @@ const UserSchema = new mongoose.Schema({
     lowercase: true,
     validate: [validator.isEmail, 'Invalid email address']
   },
+  // false until a self-registered client follows the link in their verification email.
+  // Accounts from before verification existed have no value and count as verified.
+  emailVerified: { type: Boolean },
+  // New address the user asked to change to; `email` only changes once it is verified
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    validate: {
+      validator: function(v) {
+        return !v || validator.isEmail(v);
+      },
+      message: 'Invalid email address'
+    }
+  },
+  // When the last verification email was sent, to limit how often it can be resent
+  emailVerificationSentAt: { type: Date },
   password: { 
     type: String, 
     required: true,
@@ -35,11 +51,38 @@ const UserSchema = new mongoose.Schema({
       message: 'Invalid phone number'
     }
   },
+  // Language of emails; users who haven't chosen get DEFAULT_LANGUAGE (see i18n.js)
+  language: { type: String, enum: ['hr', 'en'] },
+  // Where booking notifications go; SMS also needs a phone number
+  notificationChannels: {
+    email: { type: Boolean, default: true },
+    sms: { type: Boolean, default: false }
+  },
+  // Session reminders; an empty offsets list means every configured reminder
+  reminderPreferences: {
+    enabled: { type: Boolean, default: true },
+    offsets: [{ type: Number, min: 1 }]
+  },
+  // Morning email with the day's sessions, for trainers (see trainerDigestService)
+  agendaDigest: {
+    enabled: { type: Boolean, default: true },
+    sendTime: {
+      type: String,
+      default: '07:00',
+      validate: {
+        validator: function(v) {
+          return /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(v);
+        },
+        message: 'Invalid time format. Use HH:MM'
+      }
+    },
+    // Day (YYYY-MM-DD, server time) the last digest was sent for
+    lastSentOn: { type: String }
+  },
+  // Secret in the user's calendar feed URL; replaced or removed to revoke the feed
+  calendarFeedToken: { type: String },
   resetPasswordToken: { type: String },
   resetPasswordExpires: { type: Date },
-  // Package tracking for 8-session packages
-  activeSessions: { type: Number, default: 0, min: 0 },
-  packageExpiry: { type: Date },
   createdAt: { type: Date, default: Date.now }
 });
 
@@ -61,20 +104,19 @@ UserSchema.methods.verifyPassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Method to check if user has active package
-UserSchema.methods.hasActivePackage = function() {
-  return this.activeSessions > 0 && 
-         this.packageExpiry && 
-         new Date() < this.packageExpiry;
+// Method to check whether the user has proven they own their email address
+UserSchema.methods.isEmailVerified = function() {
+  return this.emailVerified !== false;
 };
 
-// Static method to get clients with package info
-UserSchema.statics.getClientsWithPackageInfo = function() {
-  return this.find({ role: 'client' }, 'name email phone activeSessions packageExpiry createdAt');
+// Static method to get clients (package balances live in the package ledger)
+UserSchema.statics.getClients = function() {
+  return this.find({ role: 'client' }, 'name email phone emailVerified createdAt');
 };
 
 // Add indexes for better performance
 UserSchema.index({ email: 1 });
 UserSchema.index({ resetPasswordToken: 1 });
+UserSchema.index({ calendarFeedToken: 1 }, { unique: true, sparse: true });
 
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const WaitlistEntrySchema = new mongoose.Schema({
+  session: { type: mongoose.Schema.Types.ObjectId, ref: 'Session', required: true },
+  client: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  groupSize: {
+    type: Number,
+    min: 1,
+    max: 4,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'promoted', 'cancelled'],
+    default: 'waiting'
+  },
+  // Booking created when the entry was promoted
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+  promotedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Method to get the 1-based position of a waiting entry in its session's queue
+WaitlistEntrySchema.methods.getPosition = async function() {
+  if (this.status !== 'waiting') {
+    return null;
+  }
+
+  const ahead = await this.constructor.countDocuments({
+    session: this.session._id || this.session,
+    status: 'waiting',
+    createdAt: { $lt: this.createdAt }
+  });
+  return ahead + 1;
+};
+
+// Static method to get the waiting queue for a session in first-come order
+WaitlistEntrySchema.statics.getSessionQueue = function(sessionId) {
+  return this.find({ session: sessionId, status: 'waiting' })
+    .populate('client')
+    .sort({ createdAt: 1 });
+};
+
+WaitlistEntrySchema.index({ session: 1, status: 1, createdAt: 1 });
+WaitlistEntrySchema.index({ client: 1, status: 1 });
+
+module.exports = mongoose.model('WaitlistEntry', WaitlistEntrySchema);
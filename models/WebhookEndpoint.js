@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Events an endpoint can subscribe to (see webhookService)
+const WEBHOOK_EVENTS = [
+  'booking.created',
+  'booking.cancelled',
+  'booking.rescheduled',
+  'session.created',
+  'session.changed',
+  'session.deleted',
+  'package.assigned',
+  'package.expired'
+];
+
+// A URL that gets a signed JSON POST whenever one of its events happens. Deliveries
+// go through the outbox, so they are retried with backoff like emails and texts.
+const WebhookEndpointSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 500
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxLength: 200,
+    default: ''
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: {
+      validator: events => events.length > 0,
+      message: 'Subscribe to at least one event'
+    }
+  },
+  // Key the payloads are signed with; the receiver needs it to verify them
+  secret: {
+    type: String,
+    required: true,
+    default: () => crypto.randomBytes(24).toString('hex')
+  },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Static method to find the active endpoints subscribed to an event
+WebhookEndpointSchema.statics.findSubscribed = function(event) {
+  return this.find({ isActive: true, events: event });
+};
+
+WebhookEndpointSchema.index({ isActive: 1, events: 1 });
+
+const WebhookEndpoint = mongoose.model('WebhookEndpoint', WebhookEndpointSchema);
+WebhookEndpoint.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = WebhookEndpoint;
@@ -0,0 +1,74 @@
+const emailService = require('./emailService');
+const smsService = require('./smsService');
+
+// Channels booking notifications can go out on. Each channel implements
+// sendBookingConfirmation, sendCancellationNotification, sendBookingRescheduled and
+// sendSessionReminder.
+const channels = {
+  email: emailService,
+  sms: smsService
+};
+
+// Channels a user gets notifications on. Email is on unless turned off; SMS needs
+// to be turned on and a phone number.
+function getUserChannels(user) {
+  const preferences = user.notificationChannels || {};
+  const enabled = [];
+
+  if (preferences.email !== false && user.email) {
+    enabled.push('email');
+  }
+  if (preferences.sms === true && user.phone) {
+    enabled.push('sms');
+  }
+  return enabled;
+}
+
+// Send a notification on every channel of the user. Succeeds when at least one
+// channel accepted it; per-channel results are in `channels`.
+async function notify(user, method, args) {
+  const results = {};
+
+  for (const name of getUserChannels(user)) {
+    try {
+      results[name] = await channels[name][method](...args);
+    } catch (error) {
+      console.error(`Error sending ${method} via ${name}:`, error);
+      results[name] = { success: false, error: error.message };
+    }
+  }
+
+  const outcomes = Object.values(results);
+  return {
+    success: outcomes.length > 0 && outcomes.some(result => result.success),
+    channels: results
+  };
+}
+
+const notificationService = {
+  // The trainer is always notified by email, whatever the client's channels
+  async sendBookingConfirmation(booking, session, client, trainer) {
+    const clientResult = await notify(client, 'sendBookingConfirmation', [booking, session, client]);
+    const trainerResult = await emailService.sendTrainerNotification(booking, session, client, trainer);
+    return { ...clientResult, trainerResult };
+  },
+
+  async sendCancellationNotification(booking, session, client) {
+    return notify(client, 'sendCancellationNotification', [booking, session, client]);
+  },
+
+  // Trainers of the old and the new session are always notified by email
+  async sendBookingRescheduled(booking, previousSession, session, client) {
+    const clientResult = await notify(client, 'sendBookingRescheduled', [booking, previousSession, session, client]);
+    const trainerResults = await emailService.sendTrainerBookingRescheduled(booking, previousSession, session, client);
+    return { ...clientResult, trainerResults };
+  },
+
+  async sendSessionReminder(booking, session, client, offsetMinutes) {
+    return notify(client, 'sendSessionReminder', [booking, session, client, offsetMinutes]);
+  },
+
+  getUserChannels
+};
+
+module.exports = notificationService;
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const OutboxMessage = require('./models/OutboxMessage');
+const emailService = require('./emailService');
+const smsService = require('./smsService');
+const webhookService = require('./webhookService');
+
+// Service that delivers the messages of each outbox channel
+const channels = {
+  email: emailService,
+  sms: smsService,
+  webhook: webhookService
+};
+
+// How long a worker owns a message it is sending before another run may retry it. The
+// lock is renewed while the send runs, so this only matters when a worker dies; it is
+// longer than the slowest transport timeout (nodemailer's 10 minute socket timeout).
+const SEND_LOCK_MS = 15 * 60 * 1000;
+// Retry backoff: 1, 2, 4, 8... minutes, at most 6 hours
+const BASE_RETRY_MS = 60 * 1000;
+const MAX_RETRY_MS = 6 * 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+function getRetryDelay(attempts) {
+  return Math.min(BASE_RETRY_MS * Math.pow(2, attempts - 1), MAX_RETRY_MS);
+}
+
+// Send one claimed message and record the outcome. Messages that used up their
+// attempts are moved to 'failed', where an admin can inspect and resend them.
+async function deliver(message) {
+  const claim = { _id: message._id, status: 'sending', claimedBy: message.claimedBy };
+  const renewal = setInterval(() => {
+    OutboxMessage.renewClaim(message._id, message.claimedBy, SEND_LOCK_MS)
+      .catch(error => console.error(`Error renewing claim on outbox message ${message._id}:`, error));
+  }, SEND_LOCK_MS / 3);
+
+  try {
+    const result = await channels[message.channel || 'email'].deliverOutboxMessage(message);
+    await OutboxMessage.updateOne(
+      claim,
+      {
+        $set: { status: 'sent', sentAt: new Date(), providerMessageId: result.messageId },
+        $unset: { lockedUntil: '', claimedBy: '', lastError: '' },
+        $push: { deliveryAttempts: { at: new Date(), providerMessageId: result.messageId } }
+      }
+    );
+    return true;
+  } catch (error) {
+    const failed = message.attempts >= message.maxAttempts;
+    console.error(`Outbox message ${message._id} to ${message.to} failed (attempt ${message.attempts}/${message.maxAttempts}):`, error.message);
+
+    await OutboxMessage.updateOne(
+      claim,
+      {
+        $set: {
+          status: failed ? 'failed' : 'pending',
+          lastError: error.message,
+          nextAttemptAt: new Date(Date.now() + getRetryDelay(message.attempts))
+        },
+        $unset: { lockedUntil: '', claimedBy: '' },
+        $push: { deliveryAttempts: { at: new Date(), error: error.message } }
+      }
+    );
+    return false;
+  } finally {
+    clearInterval(renewal);
+  }
+}
+
+// Deliver every message that is due. Overlapping runs in this process are skipped;
+// other processes can't pick the same message because claims are atomic.
+async function processOutbox() {
+  if (running) {
+    return { sent: 0, failed: 0 };
+  }
+
+  running = true;
+  const counts = { sent: 0, failed: 0 };
+  try {
+    let message;
+    while ((message = await OutboxMessage.claimNext(SEND_LOCK_MS, crypto.randomUUID()))) {
+      if (await deliver(message)) {
+        counts.sent++;
+      } else {
+        counts.failed++;
+      }
+    }
+  } catch (error) {
+    console.error('Error processing outbox:', error);
+  } finally {
+    running = false;
+  }
+
+  if (counts.sent > 0 || counts.failed > 0) {
+    console.log(`Outbox: ${counts.sent} sent, ${counts.failed} failed`);
+  }
+  return counts;
+}
+
+// Poll the outbox every OUTBOX_POLL_SECONDS (default 15)
+function startOutboxWorker() {
+  if (timer) {
+    return;
+  }
+
+  const pollSeconds = parseInt(process.env.OUTBOX_POLL_SECONDS) || 15;
+  timer = setInterval(processOutbox, pollSeconds * 1000);
+  processOutbox();
+  console.log(`Outbox worker started - polling every ${pollSeconds} seconds`);
+}
+
+function stopOutboxWorker() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+// Put a failed message back in the queue with a fresh set of attempts
+async function resendMessage(messageId) {
+  return OutboxMessage.findOneAndUpdate(
+    { _id: messageId, status: 'failed' },
+    {
+      $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() },
+      $unset: { lastError: '', lockedUntil: '', claimedBy: '' }
+    },
+    { new: true }
+  );
+}
+
+module.exports = {
+  processOutbox,
+  startOutboxWorker,
+  stopOutboxWorker,
+  resendMessage
+};
@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+const User = require('./models/User');
+const Package = require('./models/Package');
+const PackageLedgerEntry = require('./models/PackageLedgerEntry');
+const webhookService = require('./webhookService');
+
+const LEDGER_LOCK_MS = 10 * 1000;
+const LEDGER_LOCK_ATTEMPTS = 20;
+
+// Run `work` while holding the ledger lock of a package, so the balance it reads
+// can't be spent by a concurrent request before its own entry is written.
+// The lock expires by itself if the process dies while holding it, and is released
+// with its token, so a call that outlived its lock can't free the next holder's.
+async function withPackageLock(packageId, work) {
+  const token = crypto.randomUUID();
+  for (let attempt = 0; attempt < LEDGER_LOCK_ATTEMPTS; attempt++) {
+    const now = new Date();
+    const locked = await Package.findOneAndUpdate(
+      { _id: packageId, ledgerLockedUntil: { $not: { $gt: now } } },
+      { $set: { ledgerLockedUntil: new Date(now.getTime() + LEDGER_LOCK_MS), ledgerLockToken: token } },
+      { new: true }
+    );
+
+    if (locked) {
+      try {
+        return await work(locked);
+      } finally {
+        await Package.updateOne(
+          { _id: packageId, ledgerLockToken: token },
+          { $set: { ledgerLockedUntil: null, ledgerLockToken: null } }
+        );
+      }
+    }
+
+    if (!(await Package.exists({ _id: packageId }))) {
+      return null;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+
+  throw new Error('Package is busy, please try again');
+}
+
+async function getBalance(packageId) {
+  const balances = await PackageLedgerEntry.getBalances([packageId]);
+  return balances[packageId.toString()];
+}
+
+// Give a client a new package of a catalog product and record its credits as a purchase
+async function grantPackage(clientId, product, { createdBy, note = '' }) {
+  const pkg = await Package.create({
+    client: clientId,
+    product: product._id,
+    name: product.name,
+    totalCredits: product.credits,
+    price: product.price,
+    exerciseTypes: product.exerciseTypes,
+    maxGroupSize: product.maxGroupSize,
+    expiresAt: new Date(Date.now() + (product.validityDays * 24 * 60 * 60 * 1000)),
+    createdBy
+  });
+
+  await PackageLedgerEntry.create({
+    package: pkg._id,
+    client: clientId,
+    type: 'purchase',
+    credits: product.credits,
+    note,
+    createdBy
+  });
+
+  await webhookService.emitEvent('package.assigned', webhookService.serializePackage(pkg));
+  return pkg;
+}
+
+// Spend one credit on a booking, from the usable package that expires first and may
+// pay for the session. Resolves to { package, sessionNumber } or null when no package can pay.
+async function debitForBooking(clientId, booking, session, createdBy) {
+  const packages = await Package.find({
+    client: clientId,
+    status: 'active',
+    expiresAt: { $gt: new Date() }
+  }).sort({ expiresAt: 1 });
+
+  for (const candidate of packages.filter(pkg => pkg.canPayFor(session, booking.groupSize))) {
+    const result = await withPackageLock(candidate._id, async (pkg) => {
+      if (!pkg.isUsable() || (await getBalance(pkg._id)) < 1) {
+        return null;
+      }
+
+      await PackageLedgerEntry.create({
+        package: pkg._id,
+        client: clientId,
+        type: 'booking',
+        credits: -1,
+        booking: booking._id,
+        createdBy
+      });
+
+      const sessionNumber = await PackageLedgerEntry.countDocuments({ package: pkg._id, type: 'booking' });
+      return { package: pkg, sessionNumber };
+    });
+
+    if (result) {
+      return result;
+    }
+  }
+
+  return null;
+}
+
+// Give back the credit a booking spent. Safe to call more than once - only what the
+// booking still owes is refunded. Credits of packages that can no longer be used are not refunded.
+async function refundBooking(booking, { createdBy, note = '' } = {}) {
+  if (!booking.package) {
+    return null;
+  }
+
+  return withPackageLock(booking.package._id || booking.package, async (pkg) => {
+    if (!pkg.isUsable()) {
+      return null;
+    }
+
+    const entries = await PackageLedgerEntry.find({ package: pkg._id, booking: booking._id });
+    const spent = -entries.reduce((sum, entry) => sum + entry.credits, 0);
+    if (spent <= 0) {
+      return null;
+    }
+
+    return PackageLedgerEntry.create({
+      package: pkg._id,
+      client: pkg.client,
+      type: 'refund',
+      credits: spent,
+      booking: booking._id,
+      note,
+      createdBy
+    });
+  });
+}
+
+// Manually add (positive) or remove (negative) credits on a package
+async function adjustCredits(packageId, credits, { note, createdBy }) {
+  return withPackageLock(packageId, async (pkg) => {
+    const balance = await getBalance(pkg._id);
+    if (balance + credits < 0) {
+      const error = new Error(`Package only has ${balance} credits left`);
+      error.status = 400;
+      throw error;
+    }
+
+    return PackageLedgerEntry.create({
+      package: pkg._id,
+      client: pkg.client,
+      type: 'adjustment',
+      credits,
+      note,
+      createdBy
+    });
+  });
+}
+
+// Write off the remaining credits of a package and move it out of 'active'
+async function closePackage(packageId, { status, type, note, createdBy }) {
+  return withPackageLock(packageId, async (pkg) => {
+    if (pkg.status !== 'active') {
+      return null;
+    }
+
+    const balance = await getBalance(pkg._id);
+    if (balance > 0) {
+      await PackageLedgerEntry.create({
+        package: pkg._id,
+        client: pkg.client,
+        type,
+        credits: -balance,
+        note,
+        createdBy
+      });
+    }
+
+    pkg.status = status;
+    await pkg.save();
+    return pkg;
+  });
+}
+
+// Close every active package of a client, e.g. when an admin resets their packages
+async function closeClientPackages(clientId, { note, createdBy }) {
+  const packages = await Package.find({ client: clientId, status: 'active' });
+  let closed = 0;
+
+  for (const pkg of packages) {
+    if (await closePackage(pkg._id, { status: 'closed', type: 'adjustment', note, createdBy })) {
+      closed++;
+    }
+  }
+  return closed;
+}
+
+// Expire packages past their expiry date, writing off unused credits
+async function expirePackages() {
+  const packages = await Package.find({ status: 'active', expiresAt: { $lte: new Date() } });
+  let expired = 0;
+
+  for (const pkg of packages) {
+    try {
+      const closed = await closePackage(pkg._id, { status: 'expired', type: 'expiry', note: 'Package expired' });
+      if (closed) {
+        expired++;
+        await webhookService.emitEvent('package.expired', webhookService.serializePackage(closed));
+      }
+    } catch (error) {
+      console.error(`Error expiring package ${pkg._id}:`, error);
+    }
+  }
+  return expired;
+}
+
+// Packages of a client with their balances, plus the total credit they can still use
+async function getClientPackageSummary(clientId) {
+  const packages = await Package.getClientPackages(clientId);
+  const balances = await PackageLedgerEntry.getBalances(packages.map(pkg => pkg._id));
+
+  const summary = packages.map(pkg => ({
+    ...pkg.toObject(),
+    balance: balances[pkg._id.toString()],
+    isUsable: pkg.isUsable()
+  }));
+  const usable = summary.filter(pkg => pkg.isUsable && pkg.balance > 0);
+
+  return {
+    packages: summary,
+    balance: usable.reduce((sum, pkg) => sum + pkg.balance, 0),
+    nextExpiry: usable.length > 0 ? usable.reduce((min, pkg) => (pkg.expiresAt < min ? pkg.expiresAt : min), usable[0].expiresAt) : null
+  };
+}
+
+// Move balances from the old User.activeSessions/packageExpiry fields into packages.
+// Runs at startup; users that were migrated no longer have the old fields. Each user is
+// claimed by removing the old fields atomically, so when several instances start at
+// once only the one that removed them creates the package.
+async function migrateLegacyPackages() {
+  const legacyFilter = { $or: [{ activeSessions: { $exists: true } }, { packageExpiry: { $exists: true } }] };
+  const users = await User.collection.find(legacyFilter, { projection: { _id: 1 } }).toArray();
+
+  let migrated = 0;
+  for (const { _id } of users) {
+    const { value: user } = await User.collection.findOneAndUpdate(
+      { _id, ...legacyFilter },
+      { $unset: { activeSessions: '', packageExpiry: '' } },
+      { projection: { activeSessions: 1, packageExpiry: 1 } }
+    );
+    // Another instance migrated this user in the meantime
+    if (!user) continue;
+
+    if (user.activeSessions > 0 && user.packageExpiry && user.packageExpiry > new Date()) {
+      let pkg;
+      try {
+        pkg = await Package.create({
+          client: user._id,
+          name: 'Package',
+          totalCredits: user.activeSessions,
+          expiresAt: user.packageExpiry
+        });
+        await PackageLedgerEntry.create({
+          package: pkg._id,
+          client: user._id,
+          type: 'purchase',
+          credits: user.activeSessions,
+          note: 'Balance carried over from the previous package tracking'
+        });
+      } catch (error) {
+        // Put the old fields back so the balance is migrated on the next start
+        if (pkg) await Package.deleteOne({ _id: pkg._id });
+        await User.collection.updateOne(
+          { _id: user._id },
+          { $set: { activeSessions: user.activeSessions, packageExpiry: user.packageExpiry } }
+        );
+        throw error;
+      }
+      migrated++;
+    }
+  }
+
+  return migrated;
+}
+
+module.exports = {
+  getBalance,
+  grantPackage,
+  debitForBooking,
+  refundBooking,
+  adjustCredits,
+  closeClientPackages,
+  expirePackages,
+  getClientPackageSummary,
+  migrateLegacyPackages
+};
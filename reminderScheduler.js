@@ -1,113 +1,324 @@
 const cron = require('node-cron');
 const mongoose = require('mongoose');
-const emailService = require('./emailService');
+const os = require('os');
+const crypto = require('crypto');
+const JobLock = require('./models/JobLock');
+const notificationService = require('./notificationService');
+const packageService = require('./packageService');
+const campaignService = require('./campaignService');
+const feedbackService = require('./feedbackService');
+const trainerDigestService = require('./trainerDigestService');
 
 // Import models (will be initialized by server.js)
 let Session, Booking, User;
 
+// Identifies this process; each run adds its own id, so two runs in one process don't share a lease
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+// Jobs hold their lease this long and renew it while they run. A reminder claimed
+// but not marked sent for this long was left behind by a run that died.
+const JOB_LEASE_MS = 5 * 60 * 1000;
+
+// Run a scheduled job unless it is already running, here or in another instance, in which case
+// this run is skipped and resolves to null. Every instance runs the same cron
+// schedule, so whichever takes the lease first does the work.
+async function runExclusive(name, work) {
+  const owner = `${INSTANCE_ID}:${crypto.randomBytes(3).toString('hex')}`;
+  let lock;
+  try {
+    lock = await JobLock.acquire(name, owner, JOB_LEASE_MS);
+  } catch (error) {
+    console.error(`Error acquiring lock for ${name}:`, error);
+    return null;
+  }
+  if (!lock) {
+    return null;
+  }
+
+  const renewal = setInterval(() => {
+    JobLock.renew(name, owner, JOB_LEASE_MS)
+      .catch(error => console.error(`Error renewing lock for ${name}:`, error));
+  }, JOB_LEASE_MS / 3);
+
+  let failure;
+  try {
+    return await work(lock);
+  } catch (error) {
+    failure = error;
+    console.error(`Job ${name} failed:`, error);
+    return null;
+  } finally {
+    clearInterval(renewal);
+    await JobLock.release(name, owner, failure)
+      .catch(error => console.error(`Error releasing lock for ${name}:`, error));
+  }
+}
+
+async function runReminderJob() {
+  return runExclusive('session-reminders', async (lock) => {
+    // Missed reminders are still due (see getDueOffset), so this run catches up on them
+    if (lock.lastSucceededAt && Date.now() - lock.lastSucceededAt > 2 * 15 * 60 * 1000) {
+      console.log(`Catching up on reminders - last successful check was ${lock.lastSucceededAt.toISOString()}`);
+    }
+    console.log('Running reminder email check...');
+    return sendSessionReminders();
+  });
+}
+
+async function runAttendanceJob() {
+  return runExclusive('attendance-check', async () => {
+    console.log('Running attendance check...');
+    return flagUnmarkedAttendance();
+  });
+}
+
+async function runPackageExpiryJob() {
+  return runExclusive('package-expiry', async () => {
+    const expired = await packageService.expirePackages();
+    if (expired > 0) {
+      console.log(`Expired ${expired} packages`);
+    }
+    return expired;
+  });
+}
+
+async function runFeedbackJob() {
+  return runExclusive('feedback-requests', () => feedbackService.sendFeedbackRequests());
+}
+
+async function runTrainerDigestJob() {
+  return runExclusive('trainer-digests', () => trainerDigestService.sendDueDigests());
+}
+
+async function runCampaignJob() {
+  return runExclusive('broadcast-campaigns', () => campaignService.processDueCampaigns());
+}
+
 function initializeScheduler(sessionModel, bookingModel, userModel) {
   Session = sessionModel;
   Booking = bookingModel;
   User = userModel;
 
   // Schedule reminder emails to run every 15 minutes
-  // This checks for sessions starting in 2 hours
-  cron.schedule('*/15 * * * *', async () => {
-    console.log('Running reminder email check...');
-    await sendSessionReminders();
-  });
+  // This checks every booking against the configured reminder offsets
+  cron.schedule('*/15 * * * *', runReminderJob);
+
+  // Resolve attendance for past bookings nobody marked, at five past every hour
+  cron.schedule('5 * * * *', runAttendanceJob);
+
+  // Write off the credits of packages that expired, at ten past every hour
+  cron.schedule('10 * * * *', runPackageExpiryJob);
+
+  // Ask for feedback on attended sessions, at twenty past every hour
+  cron.schedule('20 * * * *', runFeedbackJob);
+
+  // Send trainers their agenda for the day at the time each of them chose
+  cron.schedule('*/5 * * * *', runTrainerDigestJob);
+
+  // Send broadcast campaigns whose scheduled time has come, every minute
+  cron.schedule('* * * * *', runCampaignJob);
+
+  // Catch up on whatever came due while no instance was running
+  (async () => {
+    await runReminderJob();
+    await runAttendanceJob();
+    await runPackageExpiryJob();
+    await runFeedbackJob();
+    await runTrainerDigestJob();
+  })();
 
   console.log('Reminder scheduler initialized - checking every 15 minutes');
 }
 
+// Mark past bookings that are still 'confirmed' as attended (if anyone checked in)
+// or no-show, flagged as automatic so the admin can tell them apart
+async function flagUnmarkedAttendance() {
+  try {
+    const graceHours = parseInt(process.env.ATTENDANCE_GRACE_HOURS) || 3;
+    const cutoff = new Date(Date.now() - (graceHours * 60 * 60 * 1000));
+
+    // Marked bookings leave 'confirmed', so this only ever scans open bookings
+    const bookings = await Booking.find({ status: 'confirmed' }).populate('session', 'date time');
+
+    let flagged = 0;
+    for (const booking of bookings) {
+      if (!booking.session || booking.session.getStartDateTime() > cutoff) {
+        continue;
+      }
+
+      const result = await Booking.updateOne(
+        { _id: booking._id, status: 'confirmed' },
+        {
+          $set: {
+            status: booking.checkIns.length > 0 ? 'attended' : 'no-show',
+            attendanceMarkedAt: new Date(),
+            attendanceAutoMarked: true
+          }
+        }
+      );
+      flagged += result.modifiedCount;
+    }
+
+    if (flagged > 0) {
+      console.log(`Automatically marked attendance for ${flagged} bookings`);
+    }
+    return flagged;
+  } catch (error) {
+    console.error('Error in flagUnmarkedAttendance:', error);
+    return 0;
+  }
+}
+
+// Reminder lead times in minutes, largest first, from REMINDER_OFFSETS
+// (comma-separated hours, e.g. "24,2"). Defaults to the day before and two hours before.
+function getReminderOffsets() {
+  const offsets = (process.env.REMINDER_OFFSETS || '24,2')
+    .split(',')
+    .map(hours => Math.round(parseFloat(hours) * 60))
+    .filter(minutes => !isNaN(minutes) && minutes > 0);
+
+  return [...new Set(offsets.length > 0 ? offsets : [24 * 60, 2 * 60])].sort((a, b) => b - a);
+}
+
+// Offsets a client wants reminders for; an empty preference list means all of them
+function getClientOffsets(client, offsets) {
+  const preferences = client.reminderPreferences || {};
+  if (preferences.enabled === false || notificationService.getUserChannels(client).length === 0) {
+    return [];
+  }
+
+  const preferred = preferences.offsets || [];
+  return preferred.length > 0 ? offsets.filter(offset => preferred.includes(offset)) : offsets;
+}
+
+// The reminder to send for a booking right now, if any. A reminder is due once its
+// lead time is reached; when several are due (e.g. the server was down) only the
+// closest one is sent, and a reminder is never sent after a closer one went out.
+// Claims left unsent by a run that died don't count as sent.
+function getDueOffset(booking, sessionStart, offsets, now) {
+  const staleBefore = new Date(now.getTime() - JOB_LEASE_MS);
+  const sent = (booking.remindersSent || [])
+    .filter(reminder => reminder.sentAt || reminder.claimedAt > staleBefore)
+    .map(reminder => reminder.offsetMinutes);
+
+  const due = offsets.filter(offset => {
+    const sendAt = new Date(sessionStart.getTime() - (offset * 60 * 1000));
+    return sendAt <= now &&
+      booking.createdAt < sendAt &&
+      !sent.some(sentOffset => sentOffset <= offset);
+  });
+
+  return due.length > 0 ? Math.min(...due) : null;
+}
+
+// Claim a booking's reminder before sending it, so no other run sends it as well.
+// A claim left unsent by a run that died can be taken over once it is stale.
+async function claimReminder(bookingId, offset, now) {
+  const claimed = await Booking.findOneAndUpdate(
+    { _id: bookingId, status: 'confirmed', 'remindersSent.offsetMinutes': { $ne: offset } },
+    { $push: { remindersSent: { offsetMinutes: offset, claimedAt: now } } },
+    { new: true }
+  );
+  if (claimed) {
+    return claimed;
+  }
+
+  return Booking.findOneAndUpdate(
+    {
+      _id: bookingId,
+      status: 'confirmed',
+      remindersSent: {
+        $elemMatch: { offsetMinutes: offset, sentAt: null, claimedAt: { $lte: new Date(now.getTime() - JOB_LEASE_MS) } }
+      }
+    },
+    { $set: { 'remindersSent.$.claimedAt': now } },
+    { new: true }
+  );
+}
+
 async function sendSessionReminders() {
   try {
-    // Calculate the time 2 hours from now with a 15-minute window
     const now = new Date();
-    const twoHoursFromNow = new Date(now.getTime() + (2 * 60 * 60 * 1000));
-    const startWindow = new Date(twoHoursFromNow.getTime() - (7 * 60 * 1000)); // 7 minutes before
-    const endWindow = new Date(twoHoursFromNow.getTime() + (8 * 60 * 1000)); // 8 minutes after
-
-    console.log(`Checking for sessions between ${startWindow.toISOString()} and ${endWindow.toISOString()}`);
+    const offsets = getReminderOffsets();
+    const horizon = new Date(now.getTime() + (offsets[0] * 60 * 1000));
 
-    // Find sessions starting in approximately 2 hours
+    // Session.date is midnight of the session day, so widen the range by a day on both ends
     const upcomingSessions = await Session.find({
       date: {
-        $gte: new Date(startWindow.getFullYear(), startWindow.getMonth(), startWindow.getDate()),
-        $lte: new Date(endWindow.getFullYear(), endWindow.getMonth(), endWindow.getDate())
+        $gte: new Date(now.getTime() - (24 * 60 * 60 * 1000)),
+        $lte: horizon
       },
       isActive: true
     }).populate('trainer');
 
+    let sentCount = 0;
     for (const session of upcomingSessions) {
       try {
-        // Create session datetime by combining date and time
-        const sessionDate = new Date(session.date);
-        const [hours, minutes] = session.time.split(':');
-        const sessionDateTime = new Date(
-          sessionDate.getFullYear(),
-          sessionDate.getMonth(),
-          sessionDate.getDate(),
-          parseInt(hours),
-          parseInt(minutes),
-          0,
-          0
-        );
-
-        // Check if this session is in our 2-hour window
-        if (sessionDateTime >= startWindow && sessionDateTime <= endWindow) {
-          console.log(`Found session at ${sessionDateTime.toISOString()} - sending reminders`);
-
-          // Find all confirmed bookings for this session that haven't had reminders sent
-          const bookings = await Booking.find({
-            session: session._id,
-            status: 'confirmed',
-            reminderSent: { $ne: true }
-          }).populate('client');
-
-          if (bookings.length === 0) {
-            console.log('No bookings found or all reminders already sent for this session');
-            continue;
-          }
+        const sessionStart = session.getStartDateTime();
+        if (sessionStart <= now || sessionStart > horizon) {
+          continue;
+        }
+
+        const bookings = await Booking.find({
+          session: session._id,
+          status: 'confirmed'
+        }).populate('client');
+
+        for (const booking of bookings) {
+          if (!booking.client) continue;
+
+          const offset = getDueOffset(booking, sessionStart, getClientOffsets(booking.client, offsets), now);
+          if (offset === null) continue;
 
-          // Send reminder to each client
-          for (const booking of bookings) {
-            try {
-              const result = await emailService.sendSessionReminder(booking, session, booking.client);
-              console.log(`Reminder sent to ${booking.client.email}:`, result.success);
-
-              // Mark that reminder was sent to avoid duplicates
-              if (result.success) {
-                booking.reminderSent = true;
-                await booking.save();
-                console.log(`Marked reminder as sent for booking ${booking._id}`);
-              }
-            } catch (error) {
-              console.error(`Failed to send reminder to ${booking.client.email}:`, error);
+          const claimed = await claimReminder(booking._id, offset, now);
+          if (!claimed) continue;
+
+          try {
+            // Queued messages carry idempotency keys, so a reminder taken over from a
+            // run that died after queueing it is not queued again
+            const result = await notificationService.sendSessionReminder(booking, session, booking.client, offset);
+            console.log(`Reminder (${offset} min) queued for ${booking.client.email}:`, result.success);
+
+            if (result.success) {
+              await Booking.updateOne(
+                { _id: booking._id, 'remindersSent.offsetMinutes': offset },
+                { $set: { 'remindersSent.$.sentAt': new Date() } }
+              );
+              sentCount++;
+            } else {
+              await Booking.updateOne({ _id: booking._id }, { $pull: { remindersSent: { offsetMinutes: offset } } });
             }
+          } catch (error) {
+            console.error(`Failed to send reminder to ${booking.client.email}:`, error);
+            await Booking.updateOne({ _id: booking._id }, { $pull: { remindersSent: { offsetMinutes: offset } } });
           }
         }
       } catch (sessionError) {
         console.error(`Error processing session ${session._id}:`, sessionError);
       }
     }
+
+    if (sentCount > 0) {
+      console.log(`Sent ${sentCount} session reminders`);
+    }
+    return sentCount;
   } catch (error) {
     console.error('Error in sendSessionReminders:', error);
+    return 0;
   }
 }
 
-// Manual function to send reminders (for testing)
+// Manual function to send reminders (for testing). Skipped while a scheduled check is running.
 async function sendRemindersNow() {
   console.log('Manually triggering reminder check...');
-  await sendSessionReminders();
+  await runReminderJob();
 }
 
 // Function to reset reminder flags (useful for testing)
 async function resetReminderFlags() {
   try {
     const result = await Booking.updateMany(
-      { reminderSent: true },
-      { $unset: { reminderSent: 1 } }
+      { 'remindersSent.0': { $exists: true } },
+      { $set: { remindersSent: [] } }
     );
     console.log(`Reset reminder flags for ${result.modifiedCount} bookings`);
     return result;
@@ -140,7 +351,10 @@ async function getUpcomingSessions(hoursAhead = 2) {
 
 module.exports = {
   initializeScheduler,
+  runExclusive,
+  getReminderOffsets,
   sendRemindersNow,
+  flagUnmarkedAttendance,
   resetReminderFlags,
   getUpcomingSessions
 };
\ No newline at end of file
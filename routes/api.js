@@ -1,9 +1,33 @@
 const express = require('express');
 const validator = require('validator');
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
 const Session = require('../models/Session');
 const Booking = require('../models/Booking');
+const SessionSeries = require('../models/SessionSeries');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const CancellationPolicy = require('../models/CancellationPolicy');
+const Package = require('../models/Package');
+const PackageLedgerEntry = require('../models/PackageLedgerEntry');
+const PackageProduct = require('../models/PackageProduct');
+const OutboxMessage = require('../models/OutboxMessage');
+const Segment = require('../models/Segment');
+const Campaign = require('../models/Campaign');
+const Feedback = require('../models/Feedback');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const Invitation = require('../models/Invitation');
 const emailService = require('../emailService');
+const notificationService = require('../notificationService');
+const waitlistService = require('../waitlistService');
+const packageService = require('../packageService');
+const campaignService = require('../campaignService');
+const reminderScheduler = require('../reminderScheduler');
+const i18n = require('../i18n');
+const outboxWorker = require('../outboxWorker');
+const webhookService = require('../webhookService');
+const emailVerificationService = require('../emailVerificationService');
 
 const router = express.Router();
 
@@ -24,6 +48,477 @@ function requireAdmin(req, res, next) {
   next();
 }
 
+// Clients who registered but haven't confirmed their email yet can browse, but not book
+async function requireVerifiedEmail(req, res, next) {
+  try {
+    const user = await User.findById(req.user.id, 'emailVerified');
+    if (user && !user.isEmailVerified()) {
+      return res.status(403).json({ 
+        error: 'Please confirm your email address before booking. Check your inbox for the verification link.',
+        emailVerificationRequired: true
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Error checking email verification:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// Verification emails per user per hour, on top of the per-email cooldown
+const verificationEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  keyGenerator: req => req.user.id,
+  message: { error: 'Too many verification emails requested, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Scopes accepted when editing or cancelling an occurrence of a recurring series
+const SERIES_SCOPES = ['this', 'following', 'all'];
+const MAX_SERIES_DAYS = 366;
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+// Read an integer setting from the environment, allowing 0
+function envInt(name, defaultValue) {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) ? defaultValue : value;
+}
+
+// Rules clients must follow when moving a booking (admins are not bound by them)
+function getReschedulePolicy() {
+  return {
+    cutoffHours: envInt('RESCHEDULE_CUTOFF_HOURS', 12),
+    maxReschedules: envInt('RESCHEDULE_MAX_PER_BOOKING', 2),
+    sameExerciseType: process.env.RESCHEDULE_SAME_EXERCISE_TYPE !== 'false'
+  };
+}
+
+// Work out what a late cancellation costs under the session's policy.
+// Returns { blocked } when the client may not cancel, otherwise the outcome to record.
+async function getLateCancellationTerms(booking, user) {
+  const policy = await CancellationPolicy.resolveForSession(booking.session);
+  
+  if (user.role === 'admin') {
+    return { policy, outcome: 'waived', fee: 0, refundCredit: true };
+  }
+  
+  // Grace cancellations are counted per package, so they only apply to package bookings
+  if (booking.package && policy.graceCancellations > 0) {
+    const used = await Booking.countGraceCancellations(booking.client._id, booking.package);
+    if (used < policy.graceCancellations) {
+      return {
+        policy,
+        outcome: 'grace',
+        fee: 0,
+        refundCredit: true,
+        warning: `This is a late cancellation. It will use ${used + 1} of the ${policy.graceCancellations} free late cancellations of your package.`
+      };
+    }
+  }
+  
+  switch (policy.lateCancellationAction) {
+    case 'forfeit-credit':
+      return {
+        policy,
+        outcome: 'credit-forfeited',
+        fee: 0,
+        refundCredit: false,
+        warning: 'This is a late cancellation. The session will not be refunded.'
+      };
+    case 'charge-fee':
+      return {
+        policy,
+        outcome: 'fee-charged',
+        fee: policy.lateCancellationFee,
+        refundCredit: true,
+        warning: `This is a late cancellation. A fee of ${policy.lateCancellationFee} will be charged.`
+      };
+    case 'allow-with-warning':
+      return {
+        policy,
+        outcome: 'warned',
+        fee: 0,
+        refundCredit: true,
+        warning: `This is a late cancellation (less than ${policy.freeCancellationHours} hours before the session). Please cancel earlier in future.`
+      };
+    default:
+      return { policy, blocked: true };
+  }
+}
+
+// Move the cancellation deadline of upcoming confirmed bookings after a policy change.
+// Deadlines only ever move later: the confirmation email told the client how long they
+// could cancel for free, and a stricter policy shouldn't take that window away. Never
+// throws, so a failure here can't report the already saved policy as failed.
+async function refreshCancellationDeadlines() {
+  try {
+    const now = new Date();
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+    
+    const sessions = (await Session.find({ date: { $gte: today }, isActive: true }))
+      .filter(session => session.getStartDateTime() > now);
+    const bookings = await Booking.find(
+      { session: { $in: sessions.map(session => session._id) }, status: 'confirmed' },
+      'session cancellationDeadline'
+    );
+    if (bookings.length === 0) {
+      return 0;
+    }
+    
+    const policies = await CancellationPolicy.resolveForSessions(sessions);
+    const deadlines = {};
+    sessions.forEach(session => {
+      const policy = policies[session._id.toString()];
+      deadlines[session._id.toString()] = new Date(session.getStartDateTime().getTime() - (policy.freeCancellationHours * 60 * 60 * 1000));
+    });
+    
+    const updates = bookings
+      .filter(booking => !booking.cancellationDeadline || deadlines[booking.session.toString()] > booking.cancellationDeadline)
+      .map(booking => {
+        const deadline = deadlines[booking.session.toString()];
+        return {
+          updateOne: {
+            filter: { _id: booking._id, status: 'confirmed' },
+            update: { $set: { cancellationDeadline: deadline, canCancel: now < deadline } }
+          }
+        };
+      });
+    
+    if (updates.length > 0) {
+      await Booking.bulkWrite(updates);
+    }
+    return updates.length;
+  } catch (error) {
+    console.error('Error updating cancellation deadlines:', error);
+    return 0;
+  }
+}
+
+// Validate a cancellation policy request body into the fields to save
+async function parseCancellationPolicy(body, errors) {
+  const fields = {
+    name: sanitizeInput(body.name),
+    scope: body.scope,
+    exerciseType: undefined,
+    session: undefined
+  };
+  
+  if (!fields.name) {
+    errors.push('Policy name is required');
+  }
+  
+  if (!['default', 'exerciseType', 'session'].includes(body.scope)) {
+    errors.push('Scope must be one of: default, exerciseType, session');
+  } else if (body.scope === 'exerciseType') {
+    if (!['body-health', 'regular-training'].includes(body.exerciseType)) {
+      errors.push('Invalid exercise type');
+    }
+    fields.exerciseType = body.exerciseType;
+  } else if (body.scope === 'session') {
+    if (!body.sessionId || !validator.isMongoId(String(body.sessionId)) || !(await Session.exists({ _id: body.sessionId }))) {
+      errors.push('Session not found');
+    }
+    fields.session = body.sessionId;
+  }
+  
+  if (!validator.isFloat(String(body.freeCancellationHours), { min: 0, max: 720 })) {
+    errors.push('Free cancellation window must be between 0 and 720 hours');
+  }
+  fields.freeCancellationHours = parseFloat(body.freeCancellationHours);
+  
+  const actions = CancellationPolicy.schema.path('lateCancellationAction').enumValues;
+  if (!actions.includes(body.lateCancellationAction)) {
+    errors.push('Late cancellation action must be one of: ' + actions.join(', '));
+  }
+  fields.lateCancellationAction = body.lateCancellationAction;
+  
+  const fee = body.lateCancellationFee === undefined || body.lateCancellationFee === '' ? '0' : String(body.lateCancellationFee);
+  if (!validator.isFloat(fee, { min: 0 })) {
+    errors.push('Late cancellation fee must be a positive number');
+  } else if (body.lateCancellationAction === 'charge-fee' && parseFloat(fee) <= 0) {
+    errors.push('A fee is required when late cancellations are charged');
+  }
+  fields.lateCancellationFee = parseFloat(fee);
+  
+  const grace = body.graceCancellations === undefined || body.graceCancellations === '' ? '0' : String(body.graceCancellations);
+  if (!validator.isInt(grace, { min: 0, max: 10 })) {
+    errors.push('Grace cancellations must be between 0 and 10');
+  }
+  fields.graceCancellations = parseInt(grace);
+  
+  return fields;
+}
+
+// Validate the recurrence block of a session creation request
+function parseRecurrence(recurrence, date, errors) {
+  const daysOfWeek = Array.isArray(recurrence.daysOfWeek)
+    ? [...new Set(recurrence.daysOfWeek.map(day => parseInt(day)))]
+    : [];
+
+  if (daysOfWeek.length === 0 || daysOfWeek.some(day => isNaN(day) || day < 0 || day > 6)) {
+    errors.push('Recurrence days must be between 0 (Sunday) and 6 (Saturday)');
+  }
+
+  if (!recurrence.until || !validator.isISO8601(recurrence.until)) {
+    errors.push('Valid recurrence end date is required');
+    return null;
+  }
+
+  const startDate = new Date(date);
+  const endDate = new Date(recurrence.until);
+  if (endDate < startDate) {
+    errors.push('Recurrence end date must be on or after the start date');
+  } else if (endDate - startDate > MAX_SERIES_DAYS * ONE_DAY_MS) {
+    errors.push(`A series cannot span more than ${MAX_SERIES_DAYS} days`);
+  }
+
+  return { daysOfWeek, startDate, endDate };
+}
+
+// Create one session per occurrence, collecting the dates that clash with the
+// trainer's existing sessions instead of failing the whole series
+async function createSeriesSessions(series, fields) {
+  const sessions = [];
+  const conflicts = [];
+
+  for (const date of series.getOccurrenceDates()) {
+    const existingSession = await Session.findOne({ trainer: series.trainer, date, time: series.time, isActive: true });
+    if (existingSession) {
+      conflicts.push({
+        date,
+        time: series.time,
+        sessionId: existingSession._id,
+        reason: 'Trainer already has a session at this date and time'
+      });
+      continue;
+    }
+
+    try {
+      const session = new Session({ ...fields, date, series: series._id });
+      await session.save();
+      sessions.push(session);
+      await webhookService.emitEvent('session.created', webhookService.serializeSession(session));
+    } catch (error) {
+      // Unique {trainer, date, time} index - another request created the slot first
+      if (error.code === 11000) {
+        conflicts.push({ date, time: series.time, reason: 'Trainer already has a session at this date and time' });
+        continue;
+      }
+      throw error;
+    }
+  }
+
+  return { sessions, conflicts };
+}
+
+// Move this and all following occurrences into a new series so that earlier
+// occurrences keep the original settings
+async function splitSeries(series, session) {
+  const hasEarlierOccurrences = await Session.exists({
+    series: series._id,
+    date: { $lt: session.date }
+  });
+
+  // "This and following" from the first occurrence is the whole series
+  if (!hasEarlierOccurrences) {
+    return series;
+  }
+
+  const newSeries = new SessionSeries({
+    daysOfWeek: series.daysOfWeek,
+    time: series.time,
+    startDate: session.date,
+    endDate: series.endDate,
+    exerciseType: series.exerciseType,
+    maxCapacity: series.maxCapacity,
+    trainer: series.trainer,
+    description: series.description,
+    createdBy: series.createdBy
+  });
+  await newSeries.save();
+
+  series.endDate = new Date(session.date.getTime() - ONE_DAY_MS);
+  await series.save();
+
+  await Session.updateMany(
+    { series: series._id, date: { $gte: session.date } },
+    { $set: { series: newSeries._id } }
+  );
+
+  return newSeries;
+}
+
+// Fields a client sees in the "session changed" email
+const NOTIFIABLE_SESSION_FIELDS = ['date', 'time', 'exerciseType', 'trainer', 'description'];
+
+// Apply field updates to each session, skipping those that would clash with
+// another session of the (possibly new) trainer at the same date and time or
+// that would drop capacity below what is already booked
+async function applySessionUpdates(sessions, updates) {
+  const updated = [];
+  const conflicts = [];
+
+  for (const session of sessions) {
+    const trainer = updates.trainer || session.trainer._id || session.trainer;
+    const date = updates.date || session.date;
+    const time = updates.time || session.time;
+
+    const clash = await Session.findOne({
+      _id: { $ne: session._id },
+      trainer,
+      date,
+      time,
+      isActive: true
+    });
+
+    if (clash) {
+      conflicts.push({
+        sessionId: session._id,
+        date,
+        time,
+        reason: 'Trainer already has a session at this date and time'
+      });
+      continue;
+    }
+
+    const previousSession = session.toObject();
+
+    // Capacity is only lowered if it still covers the booked spots at write time
+    const filter = { _id: session._id };
+    if (updates.maxCapacity !== undefined) {
+      filter.currentBookings = { $lte: updates.maxCapacity };
+    }
+
+    let updatedSession;
+    try {
+      updatedSession = await Session.findOneAndUpdate(
+        filter,
+        { $set: updates },
+        { new: true, runValidators: true }
+      ).populate('trainer');
+    } catch (error) {
+      if (error.code === 11000) {
+        conflicts.push({ sessionId: session._id, date, time, reason: 'Trainer already has a session at this date and time' });
+        continue;
+      }
+      throw error;
+    }
+
+    if (!updatedSession) {
+      const current = await Session.findById(session._id, 'currentBookings');
+      conflicts.push({
+        sessionId: session._id,
+        date,
+        time,
+        reason: `Cannot reduce capacity below the ${current ? current.currentBookings : 0} spots already booked`
+      });
+      continue;
+    }
+
+    await updateBookingsForSessionChange(updatedSession, previousSession);
+    await webhookService.emitEvent('session.changed', {
+      ...webhookService.serializeSession(updatedSession),
+      changes: Object.keys(updates)
+    });
+    
+    if (updatedSession.maxCapacity > previousSession.maxCapacity) {
+      await waitlistService.promoteFromWaitlist(updatedSession._id);
+    }
+    
+    updated.push(updatedSession);
+  }
+
+  return { updated, conflicts };
+}
+
+// Recompute cancellation deadlines and tell confirmed clients what changed
+async function updateBookingsForSessionChange(session, previousSession) {
+  const changed = NOTIFIABLE_SESSION_FIELDS.filter(field => {
+    const before = previousSession[field] && previousSession[field]._id ? previousSession[field]._id : previousSession[field];
+    const after = session[field] && session[field]._id ? session[field]._id : session[field];
+    return String(before) !== String(after);
+  });
+
+  if (changed.length === 0) {
+    return;
+  }
+
+  const bookings = await Booking.find({ session: session._id, status: 'confirmed' }).populate('client');
+
+  for (const booking of bookings) {
+    // The exercise type decides which cancellation policy applies
+    if (changed.includes('date') || changed.includes('time') || changed.includes('exerciseType')) {
+      booking.cancellationDeadline = await booking.calculateCancellationDeadline();
+      booking.canCancel = !!booking.cancellationDeadline && new Date() < booking.cancellationDeadline;
+      // Reminders were timed for the old start
+      if (changed.includes('date') || changed.includes('time')) {
+        booking.remindersSent = [];
+      }
+    }
+    // The email carries an updated calendar event, which needs a higher sequence
+    booking.icalSequence = (booking.icalSequence || 0) + 1;
+    await booking.save();
+
+    try {
+      await emailService.sendSessionChangeNotification(
+        booking,
+        previousSession,
+        session,
+        booking.client
+      );
+    } catch (emailError) {
+      console.error('Error sending session change email:', emailError);
+    }
+  }
+}
+
+// Cancel a session together with its bookings and waitlist, notifying booked clients.
+// Nothing is deleted so the bookings stay available as cancellation history.
+async function cancelSessionWithBookings(sessionId, cancelledBy, reason) {
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, isActive: true },
+    { $set: { isActive: false, cancelledAt: new Date(), cancellationReason: reason } },
+    { new: true }
+  ).populate('trainer');
+
+  if (!session) {
+    return null;
+  }
+
+  await waitlistService.cancelSessionWaitlist(sessionId);
+  await webhookService.emitEvent('session.deleted', webhookService.serializeSession(session));
+
+  const bookings = await Booking.find({ session: sessionId, status: 'confirmed' }).populate('client');
+
+  for (const booking of bookings) {
+    const cancelled = await Booking.cancel(booking._id, { cancelledBy, reason });
+    if (!cancelled) continue;
+
+    try {
+      await packageService.refundBooking(cancelled, { createdBy: cancelledBy, note: 'Session cancelled' });
+    } catch (refundError) {
+      console.error('Error refunding package credit:', refundError);
+    }
+
+    await webhookService.emitEvent('booking.cancelled', webhookService.serializeBooking(cancelled, session));
+
+    try {
+      await notificationService.sendCancellationNotification(
+        cancelled, 
+        session, 
+        booking.client
+      );
+    } catch (notificationError) {
+      console.error('Error sending cancellation notification:', notificationError);
+    }
+  }
+
+  return session;
+}
+
 // Get sessions for a specific date
 router.get('/sessions/:date', async (req, res) => {
   try {
@@ -38,10 +533,17 @@ router.get('/sessions/:date', async (req, res) => {
     const sessionsWithBookings = await Promise.all(
       sessions.map(async (session) => {
         const availableSpots = await session.getAvailableSpots();
+        const policy = await CancellationPolicy.resolveForSession(session);
         return {
           ...session.toObject(),
           spotsLeft: availableSpots,
-          currentBookings: session.maxCapacity - availableSpots
+          currentBookings: session.maxCapacity - availableSpots,
+          cancellationPolicy: {
+            freeCancellationHours: policy.freeCancellationHours,
+            lateCancellationAction: policy.lateCancellationAction,
+            lateCancellationFee: policy.lateCancellationFee,
+            description: policy.describeLateCancellation()
+          }
         };
       })
     );
@@ -107,10 +609,12 @@ router.get('/session/:id/details', requireAdmin, async (req, res) => {
     
     const bookings = await Booking.getSessionBookings(session._id);
     const availableSpots = await session.getAvailableSpots();
+    const waitlist = await WaitlistEntry.getSessionQueue(session._id);
     
     res.json({
       ...session.toObject(),
       bookings: bookings,
+      waitlist: waitlist,
       currentBookings: session.maxCapacity - availableSpots,
       spotsLeft: availableSpots
     });
@@ -121,9 +625,10 @@ router.get('/session/:id/details', requireAdmin, async (req, res) => {
 });
 
 // Create session (admin only)
+// Pass `recurrence: { daysOfWeek: [1, 3, 5], until: 'YYYY-MM-DD' }` to create a weekly series
 router.post('/session', requireAdmin, async (req, res) => {
   try {
-    const { date, time, exerciseType, maxCapacity, trainerId, description } = req.body;
+    const { date, time, exerciseType, maxCapacity, trainerId, description, price, recurrence } = req.body;
     
     // Validation
     const errors = [];
@@ -132,6 +637,11 @@ router.post('/session', requireAdmin, async (req, res) => {
     if (!exerciseType || !['body-health', 'regular-training'].includes(exerciseType)) errors.push('Valid exercise type is required');
     if (!maxCapacity || !validator.isInt(maxCapacity.toString(), { min: 1, max: 4 })) errors.push('Max capacity must be between 1 and 4');
     if (!trainerId || !validator.isMongoId(trainerId)) errors.push('Valid trainer ID is required');
+    if (price === undefined || !validator.isFloat(String(price), { min: 0 })) errors.push('Price must be a positive number');
+    
+    const schedule = recurrence && date && validator.isISO8601(date)
+      ? parseRecurrence(recurrence, date, errors)
+      : null;
     
     if (errors.length > 0) {
       return res.status(400).json({ error: errors.join(', ') });
@@ -142,10 +652,43 @@ router.post('/session', requireAdmin, async (req, res) => {
       return res.status(400).json({ error: 'Invalid trainer selected' });
     }
     
+    const sessionFields = {
+      time,
+      exerciseType,
+      maxCapacity: parseInt(maxCapacity),
+      trainer: trainerId,
+      description: sanitizeInput(description) || '',
+      price: parseFloat(price),
+      createdBy: req.user.id
+    };
+    
+    if (schedule) {
+      const series = new SessionSeries({
+        ...schedule,
+        time,
+        exerciseType,
+        maxCapacity: sessionFields.maxCapacity,
+        trainer: trainerId,
+        description: sessionFields.description,
+        createdBy: req.user.id
+      });
+      await series.save();
+      
+      const { sessions, conflicts } = await createSeriesSessions(series, sessionFields);
+      
+      if (sessions.length === 0) {
+        await SessionSeries.findByIdAndDelete(series._id);
+        return res.status(400).json({ error: 'No sessions could be created for this series', conflicts });
+      }
+      
+      return res.json({ success: true, series, sessions, conflicts });
+    }
+    
     const existingSession = await Session.findOne({ 
       trainer: trainerId,
       date: new Date(date), 
-      time 
+      time,
+      isActive: true
     });
     
     if (existingSession) {
@@ -153,19 +696,12 @@ router.post('/session', requireAdmin, async (req, res) => {
     }
     
     const session = new Session({
-      date: new Date(date),
-      time,
-      exerciseType,
-      maxCapacity: parseInt(maxCapacity),
-      trainer: trainerId,
-      description: sanitizeInput(description) || '',
-      price: 50,
-      packagePrice: 200,
-      packageDuration: 90,
-      createdBy: req.user.id
+      ...sessionFields,
+      date: new Date(date)
     });
     
     await session.save();
+    await webhookService.emitEvent('session.created', webhookService.serializeSession(session));
     res.json({ success: true, session });
   } catch (error) {
     console.error('Error creating session:', error);
@@ -173,10 +709,116 @@ router.post('/session', requireAdmin, async (req, res) => {
   }
 });
 
+// Get a recurring series with its occurrences (admin only)
+router.get('/series/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!validator.isMongoId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid series ID' });
+    }
+    
+    const series = await SessionSeries.findById(req.params.id).populate('trainer', 'name email');
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+    
+    const sessions = await Session.find({ series: series._id }).sort({ date: 1 });
+    res.json({ ...series.toObject(), sessions });
+  } catch (error) {
+    console.error('Error fetching series:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update session (admin only)
+// `scope` selects "this" occurrence, "following" occurrences or "all" of a series
+router.put('/session/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!validator.isMongoId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid session ID' });
+    }
+    
+    const { date, time, exerciseType, maxCapacity, trainerId, description } = req.body;
+    const scope = req.body.scope || 'this';
+    
+    const errors = [];
+    if (!SERIES_SCOPES.includes(scope)) errors.push('Scope must be one of: ' + SERIES_SCOPES.join(', '));
+    if (date !== undefined && !validator.isISO8601(String(date))) errors.push('Valid date is required');
+    if (date !== undefined && scope !== 'this') errors.push('Date can only be changed for a single occurrence');
+    if (time !== undefined && !/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(time)) errors.push('Valid time in HH:MM format is required');
+    if (exerciseType !== undefined && !['body-health', 'regular-training'].includes(exerciseType)) errors.push('Valid exercise type is required');
+    if (maxCapacity !== undefined && !validator.isInt(String(maxCapacity), { min: 1, max: 4 })) errors.push('Max capacity must be between 1 and 4');
+    if (trainerId !== undefined && !validator.isMongoId(String(trainerId))) errors.push('Valid trainer ID is required');
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+    
+    if (trainerId !== undefined) {
+      const trainer = await User.findOne({ _id: trainerId, role: 'admin' });
+      if (!trainer) {
+        return res.status(400).json({ error: 'Invalid trainer selected' });
+      }
+    }
+    
+    const session = await Session.findById(req.params.id).populate('trainer');
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    if (!session.isActive) {
+      return res.status(400).json({ error: 'Cancelled sessions cannot be edited' });
+    }
+    
+    if (scope !== 'this' && !session.series) {
+      return res.status(400).json({ error: 'Session is not part of a series' });
+    }
+    
+    const updates = {};
+    if (date !== undefined) updates.date = new Date(date);
+    if (time !== undefined) updates.time = time;
+    if (exerciseType !== undefined) updates.exerciseType = exerciseType;
+    if (maxCapacity !== undefined) updates.maxCapacity = parseInt(maxCapacity);
+    if (trainerId !== undefined) updates.trainer = trainerId;
+    if (description !== undefined) updates.description = sanitizeInput(description) || '';
+    
+    let sessions = [session];
+    if (scope !== 'this') {
+      let series = await SessionSeries.findById(session.series);
+      if (series) {
+        if (scope === 'following') {
+          series = await splitSeries(series, session);
+        }
+        
+        // Keep the series template in line with its occurrences
+        Object.assign(series, updates);
+        await series.save();
+      }
+      
+      const query = { series: series ? series._id : session.series, isActive: true };
+      if (scope === 'following' && !series) query.date = { $gte: session.date };
+      // Occurrences that already took place keep what happened, with their attendance
+      const now = new Date();
+      sessions = (await Session.find(query).populate('trainer').sort({ date: 1 }))
+        .filter(occurrence => occurrence.getStartDateTime() > now);
+    }
+    
+    const { updated, conflicts } = await applySessionUpdates(sessions, updates);
+    
+    if (scope === 'this' && conflicts.length > 0) {
+      return res.status(400).json({ error: conflicts[0].reason });
+    }
+    
+    res.json({ success: true, sessions: updated, conflicts });
+  } catch (error) {
+    console.error('Error updating session:', error);
+    res.status(400).json({ error: 'Error updating session' });
+  }
+});
+
 // Create booking
-router.post('/booking', async (req, res) => {
+router.post('/booking', requireVerifiedEmail, async (req, res) => {
   try {
-    const { sessionId, groupSize, isPackageBooking, packageId, sessionNumber } = req.body;
+    const { sessionId, groupSize, isPackageBooking } = req.body;
     
     if (req.user.role === 'admin') {
       return res.status(403).json({ error: 'Admins cannot book sessions' });
@@ -195,39 +837,64 @@ router.post('/booking', async (req, res) => {
       return res.status(400).json({ error: 'Session not available' });
     }
     
-    if (!(await session.hasCapacity(parseInt(groupSize)))) {
-      return res.status(400).json({ error: 'Not enough spots available' });
+    // Reserve the spots before creating the booking so concurrent requests cannot overbook
+    const reserved = await Session.reserveSpots(session._id, parseInt(groupSize));
+    if (!reserved) {
+      return res.status(400).json({ error: 'Not enough spots available', canJoinWaitlist: true });
     }
     
     const booking = new Booking({
       session: sessionId,
       client: req.user.id,
       groupSize: parseInt(groupSize),
-      isPackageBooking: isPackageBooking || false,
-      packageId: packageId || null,
-      sessionNumber: sessionNumber ? parseInt(sessionNumber) : null
+      isPackageBooking: !!isPackageBooking
     });
     
-    await booking.save();
+    // Package bookings are paid with a credit from the client's package ledger
+    if (booking.isPackageBooking) {
+      let debit;
+      try {
+        debit = await packageService.debitForBooking(req.user.id, booking, session, req.user.id);
+      } catch (debitError) {
+        await Session.releaseSpots(session._id, booking.groupSize);
+        throw debitError;
+      }
+      
+      if (!debit) {
+        await Session.releaseSpots(session._id, booking.groupSize);
+        const { balance } = await packageService.getClientPackageSummary(req.user.id);
+        return res.status(400).json({ 
+          error: balance > 0
+            ? 'None of your packages covers this session type or group size'
+            : 'You have no package credits left'
+        });
+      }
+      
+      booking.package = debit.package;
+      booking.sessionNumber = debit.sessionNumber;
+    }
     
-    if (isPackageBooking) {
-      await User.findByIdAndUpdate(req.user.id, {
-        $inc: { activeSessions: 1 },
-        $set: { packageExpiry: new Date(Date.now() + (session.packageDuration * 24 * 60 * 60 * 1000)) }
-      });
+    try {
+      await booking.save();
+    } catch (saveError) {
+      await Session.releaseSpots(session._id, booking.groupSize);
+      await packageService.refundBooking(booking, { createdBy: req.user.id, note: 'Booking could not be saved' });
+      throw saveError;
     }
     
+    await webhookService.emitEvent('booking.created', webhookService.serializeBooking(booking, session));
+    
     try {
       const user = await User.findById(req.user.id);
-      const emailResult = await emailService.sendBookingConfirmation(
+      const notificationResult = await notificationService.sendBookingConfirmation(
         booking, 
         session, 
         user, 
         session.trainer
       );
-      console.log('Booking confirmation emails sent:', emailResult);
-    } catch (emailError) {
-      console.error('Error sending confirmation emails:', emailError);
+      console.log('Booking confirmation notifications sent:', notificationResult);
+    } catch (notificationError) {
+      console.error('Error sending confirmation notifications:', notificationError);
     }
     
     res.json({ success: true, booking });
@@ -237,42 +904,59 @@ router.post('/booking', async (req, res) => {
   }
 });
 
-// Delete session (admin only)
+// Cancel session (admin only)
+// `?scope=following` or `?scope=all` also cancels later or all occurrences of its series
 router.delete('/session/:id', requireAdmin, async (req, res) => {
   try {
     if (!validator.isMongoId(req.params.id)) {
       return res.status(400).json({ error: 'Invalid session ID' });
     }
     
-    const bookings = await Booking.find({ session: req.params.id, status: 'confirmed' })
-      .populate([
-        { path: 'session', populate: { path: 'trainer' } },
-        'client'
-      ]);
+    const scope = req.query.scope || 'this';
+    if (!SERIES_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: 'Scope must be one of: ' + SERIES_SCOPES.join(', ') });
+    }
     
-    for (const booking of bookings) {
-      try {
-        await emailService.sendCancellationNotification(
-          booking, 
-          booking.session, 
-          booking.client
-        );
-      } catch (emailError) {
-        console.error('Error sending cancellation email:', emailError);
+    const session = await Session.findById(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    if (scope !== 'this' && !session.series) {
+      return res.status(400).json({ error: 'Session is not part of a series' });
+    }
+    
+    const reason = sanitizeInput(req.body.reason || req.query.reason) || 'Session cancelled by the studio';
+    
+    let sessionIds = [session._id];
+    if (scope !== 'this') {
+      const query = { series: session.series, isActive: true };
+      if (scope === 'following') query.date = { $gte: session.date };
+      sessionIds = (await Session.find(query, '_id')).map(s => s._id);
+    }
+    
+    let cancelledCount = 0;
+    for (const sessionId of sessionIds) {
+      if (await cancelSessionWithBookings(sessionId, req.user.id, reason)) {
+        cancelledCount++;
       }
     }
     
-    await Booking.deleteMany({ session: req.params.id });
-    await Session.findByIdAndDelete(req.params.id);
+    if (session.series && scope === 'following') {
+      await SessionSeries.findByIdAndUpdate(session.series, {
+        $set: { endDate: new Date(session.date.getTime() - ONE_DAY_MS) }
+      });
+    }
     
-    res.json({ success: true });
+    res.json({ success: true, cancelledCount });
   } catch (error) {
-    console.error('Error deleting session:', error);
-    res.status(400).json({ error: 'Error deleting session' });
+    console.error('Error cancelling session:', error);
+    res.status(400).json({ error: 'Error cancelling session' });
   }
 });
 
-// Delete booking
+// Cancel booking
+// The booking is kept with status 'cancelled' and who/when/why it was cancelled
 router.delete('/booking/:id', async (req, res) => {
   try {
     if (!validator.isMongoId(req.params.id)) {
@@ -292,131 +976,1830 @@ router.delete('/booking/:id', async (req, res) => {
       return res.status(403).json({ error: 'Not authorized' });
     }
     
-    if (req.user.role !== 'admin' && !booking.isCancellable()) {
+    if (booking.status !== 'confirmed') {
       return res.status(400).json({ 
-        error: 'Cannot cancel booking within 24 hours of the session time' 
+        error: booking.status === 'cancelled' ? 'Booking is already cancelled' : 'Attendance has already been recorded for this booking' 
       });
     }
     
-    if (booking.isPackageBooking) {
-      await User.findByIdAndUpdate(booking.client._id, {
-        $inc: { activeSessions: -1 }
-      });
+    const isLate = !booking.isCancellable();
+    let terms = { refundCredit: true, fee: 0 };
+    
+    if (isLate) {
+      terms = await getLateCancellationTerms(booking, req.user);
+      
+      if (terms.blocked) {
+        return res.status(400).json({ 
+          error: `Cannot cancel booking within ${terms.policy.freeCancellationHours} hours of the session time` 
+        });
+      }
+      
+      // Clients have to confirm they accept the consequences before a late cancellation goes through
+      if (terms.warning && req.body.acknowledgeLateCancellation !== true) {
+        return res.status(409).json({ 
+          error: terms.warning,
+          warning: terms.warning,
+          requiresAcknowledgement: true,
+          lateCancellationFee: terms.fee
+        });
+      }
+    }
+    
+    // Only the request that actually moves the booking to 'cancelled' carries on
+    const cancelled = await Booking.cancel(booking._id, {
+      cancelledBy: req.user.id,
+      reason: sanitizeInput(req.body.reason) || '',
+      isLate,
+      lateOutcome: terms.outcome,
+      lateFee: terms.fee
+    });
+    
+    if (!cancelled) {
+      return res.status(400).json({ error: 'Booking is already cancelled' });
+    }
+    
+    if (terms.refundCredit) {
+      try {
+        await packageService.refundBooking(cancelled, { createdBy: req.user.id, note: 'Booking cancelled' });
+      } catch (refundError) {
+        console.error('Error refunding package credit:', refundError);
+      }
     }
     
+    await webhookService.emitEvent('booking.cancelled', webhookService.serializeBooking(cancelled, booking.session));
+    
     try {
-      await emailService.sendCancellationNotification(
-        booking, 
+      await notificationService.sendCancellationNotification(
+        cancelled, 
         booking.session, 
         booking.client
       );
-    } catch (emailError) {
-      console.error('Error sending cancellation email:', emailError);
+    } catch (notificationError) {
+      console.error('Error sending cancellation notification:', notificationError);
     }
     
-    await Booking.findByIdAndDelete(req.params.id);
-    res.json({ success: true });
+    await waitlistService.promoteFromWaitlist(booking.session._id);
+    res.json({ success: true, booking: cancelled });
   } catch (error) {
-    console.error('Error deleting booking:', error);
-    res.status(400).json({ error: 'Error deleting booking' });
+    console.error('Error cancelling booking:', error);
+    res.status(400).json({ error: 'Error cancelling booking' });
   }
 });
 
-// Get trainers (admin only)
-router.get('/trainers', requireAdmin, async (req, res) => {
+// Reschedule booking to another session
+// Spots on the new session are reserved before the booking moves, so it is never
+// left without a session and the new session can never be overbooked
+router.post('/booking/:id/reschedule', requireVerifiedEmail, async (req, res) => {
   try {
-    const trainers = await User.find({ role: 'admin' }, 'name email phone');
-    res.json(trainers);
-  } catch (error) {
+    const { sessionId } = req.body;
+    
+    if (!validator.isMongoId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid booking ID' });
+    }
+    
+    if (!sessionId || !validator.isMongoId(String(sessionId))) {
+      return res.status(400).json({ error: 'Invalid session ID' });
+    }
+    
+    const booking = await Booking.findById(req.params.id).populate([
+      { path: 'session', populate: { path: 'trainer' } },
+      'client'
+    ]);
+    
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    
+    if (req.user.role !== 'admin' && booking.client._id.toString() !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+    
+    if (booking.status !== 'confirmed') {
+      return res.status(400).json({ error: 'Only confirmed bookings can be rescheduled' });
+    }
+    
+    const previousSession = booking.session;
+    if (previousSession._id.toString() === String(sessionId)) {
+      return res.status(400).json({ error: 'Booking is already for this session' });
+    }
+    
+    const session = await Session.findById(sessionId).populate('trainer');
+    if (!session || !session.isActive || session.getStartDateTime() <= new Date()) {
+      return res.status(400).json({ error: 'Session not available' });
+    }
+    
+    if (req.user.role !== 'admin') {
+      const policy = getReschedulePolicy();
+      const cutoff = new Date(previousSession.getStartDateTime().getTime() - (policy.cutoffHours * 60 * 60 * 1000));
+      
+      if (new Date() > cutoff) {
+        return res.status(400).json({ 
+          error: `Bookings can only be rescheduled up to ${policy.cutoffHours} hours before the session time` 
+        });
+      }
+      
+      if (booking.rescheduleCount >= policy.maxReschedules) {
+        return res.status(400).json({ 
+          error: `This booking has already been rescheduled ${booking.rescheduleCount} times (maximum ${policy.maxReschedules})` 
+        });
+      }
+      
+      if (policy.sameExerciseType && session.exerciseType !== previousSession.exerciseType) {
+        return res.status(400).json({ error: 'Bookings can only be moved to a session of the same exercise type' });
+      }
+    }
+    
+    // A package-paid booking keeps its credit, so the package has to cover the new session too
+    if (booking.package) {
+      const pkg = await Package.findById(booking.package);
+      if (pkg && !pkg.canPayFor(session, booking.groupSize)) {
+        return res.status(400).json({ error: 'The package this booking was paid with does not cover that session' });
+      }
+    }
+    
+    const reserved = await Session.reserveSpots(session._id, booking.groupSize);
+    if (!reserved) {
+      return res.status(400).json({ error: 'Not enough spots available' });
+    }
+    
+    // Package details (isPackageBooking, package, sessionNumber) travel with the booking untouched
+    const moved = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: 'confirmed', session: previousSession._id },
+      {
+        $set: { session: session._id, remindersSent: [] },
+        $inc: { rescheduleCount: 1, icalSequence: 1 },
+        $push: {
+          rescheduleHistory: {
+            fromSession: previousSession._id,
+            toSession: session._id,
+            rescheduledAt: new Date(),
+            rescheduledBy: req.user.id
+          }
+        }
+      },
+      { new: true }
+    );
+    
+    if (!moved) {
+      await Session.releaseSpots(session._id, booking.groupSize);
+      return res.status(409).json({ error: 'Booking was changed by another request, please try again' });
+    }
+    
+    await Session.releaseSpots(previousSession._id, booking.groupSize);
+    
+    moved.cancellationDeadline = await moved.calculateCancellationDeadline();
+    moved.canCancel = !!moved.cancellationDeadline && new Date() < moved.cancellationDeadline;
+    await moved.save();
+    
+    await webhookService.emitEvent('booking.rescheduled', {
+      ...webhookService.serializeBooking(moved, session),
+      previousSession: webhookService.serializeSession(previousSession)
+    });
+    
+    try {
+      const notificationResult = await notificationService.sendBookingRescheduled(
+        moved,
+        previousSession,
+        session,
+        booking.client
+      );
+      console.log('Booking rescheduled notifications sent:', notificationResult);
+    } catch (notificationError) {
+      console.error('Error sending reschedule notifications:', notificationError);
+    }
+    
+    await waitlistService.promoteFromWaitlist(previousSession._id);
+    
+    res.json({ success: true, booking: moved });
+  } catch (error) {
+    console.error('Error rescheduling booking:', error);
+    res.status(400).json({ error: 'Error rescheduling booking' });
+  }
+});
+
+// Get cancellation history (admin only), optionally for one client
+router.get('/cancellations', requireAdmin, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.clientId) {
+      if (!validator.isMongoId(req.query.clientId)) {
+        return res.status(400).json({ error: 'Invalid client ID' });
+      }
+      filter.client = req.query.clientId;
+    }
+    
+    const bookings = await Booking.getCancellationHistory(filter);
+    res.json({ success: true, bookings });
+  } catch (error) {
+    console.error('Error fetching cancellation history:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Public URL of a calendar feed
+function getCalendarFeedUrl(req, token) {
+  const baseUrl = process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/calendar/${token}.ics`;
+}
+
+// Get the current user's email address and whether it is verified
+router.get('/email-address', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id, 'email emailVerified pendingEmail');
+    
+    res.json({ 
+      success: true, 
+      email: user.email, 
+      verified: user.isEmailVerified(),
+      pendingEmail: user.pendingEmail || null
+    });
+  } catch (error) {
+    console.error('Error fetching email address:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change the current user's email address. The new address gets a verification link
+// and replaces the current one only once that link is followed.
+router.put('/email-address', verificationEmailLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const result = await emailVerificationService.requestEmailChange(user, req.body.email);
+    
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    
+    res.json({ 
+      success: true, 
+      message: `We sent a verification link to ${result.user.pendingEmail}`,
+      pendingEmail: result.user.pendingEmail
+    });
+  } catch (error) {
+    console.error('Error changing email address:', error);
+    res.status(500).json({ error: 'Error changing email address' });
+  }
+});
+
+// Keep the current email address and forget an unverified change
+router.delete('/email-address/pending', async (req, res) => {
+  try {
+    await emailVerificationService.cancelEmailChange({ _id: req.user.id });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error cancelling email change:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send the verification link again, for an unverified address or a pending change
+router.post('/email-address/verification', verificationEmailLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (user.isEmailVerified() && !user.pendingEmail) {
+      return res.status(400).json({ error: 'Your email address is already verified' });
+    }
+    
+    const result = await emailVerificationService.sendVerificationEmail(user);
+    if (!result.sent) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({ 
+        error: `Please wait ${result.retryAfter} seconds before requesting another email`,
+        retryAfter: result.retryAfter
+      });
+    }
+    
+    res.json({ success: true, message: `We sent a new verification link to ${user.pendingEmail || user.email}` });
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+    res.status(500).json({ error: 'Error sending verification email' });
+  }
+});
+
+// Get the current user's calendar feed URL (null when they have none)
+router.get('/calendar-feed', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id, 'calendarFeedToken');
+    
+    res.json({ 
+      success: true, 
+      url: user.calendarFeedToken ? getCalendarFeedUrl(req, user.calendarFeedToken) : null
+    });
+  } catch (error) {
+    console.error('Error fetching calendar feed:', error);
+    res.status(500).json({ error: 'Error fetching calendar feed' });
+  }
+});
+
+// Create the current user's calendar feed, or replace its URL so the old one stops working
+router.post('/calendar-feed', async (req, res) => {
+  try {
+    const token = crypto.randomBytes(32).toString('hex');
+    await User.updateOne({ _id: req.user.id }, { $set: { calendarFeedToken: token } });
+    
+    res.json({ success: true, url: getCalendarFeedUrl(req, token) });
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    res.status(500).json({ error: 'Error creating calendar feed' });
+  }
+});
+
+// Turn off the current user's calendar feed
+router.delete('/calendar-feed', async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { $unset: { calendarFeedToken: '' } });
+    res.json({ success: true, message: 'Calendar feed turned off' });
+  } catch (error) {
+    console.error('Error revoking calendar feed:', error);
+    res.status(500).json({ error: 'Error revoking calendar feed' });
+  }
+});
+
+// Get the channels the current user gets booking notifications on
+router.get('/notification-preferences', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id, 'email phone notificationChannels language');
+    
+    res.json({ 
+      success: true, 
+      channels: user.notificationChannels,
+      email: user.email,
+      phone: user.phone || '',
+      language: i18n.getLanguage(user),
+      languages: i18n.SUPPORTED_LANGUAGES
+    });
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({ error: 'Error fetching notification preferences' });
+  }
+});
+
+// Update the current user's notification channels, and optionally the phone number SMS go to
+// and the language of their emails
+router.put('/notification-preferences', async (req, res) => {
+  try {
+    const { email, sms, language } = req.body;
+    const phone = typeof req.body.phone === 'string' ? req.body.phone.trim() : undefined;
+    
+    if (typeof email !== 'boolean' || typeof sms !== 'boolean') {
+      return res.status(400).json({ error: 'Email and SMS must be true or false' });
+    }
+    
+    if (!email && !sms) {
+      return res.status(400).json({ error: 'Choose at least one way to be notified' });
+    }
+    
+    if (phone && !validator.isMobilePhone(phone, 'any', { strictMode: false })) {
+      return res.status(400).json({ error: 'Invalid phone number' });
+    }
+    
+    if (language !== undefined && !i18n.SUPPORTED_LANGUAGES.includes(language)) {
+      return res.status(400).json({ error: 'Unsupported language' });
+    }
+    
+    const user = await User.findById(req.user.id);
+    if (phone !== undefined) {
+      user.phone = phone || undefined;
+    }
+    
+    if (sms && !user.phone) {
+      return res.status(400).json({ error: 'Add a phone number to get SMS notifications' });
+    }
+    
+    user.notificationChannels = { email, sms };
+    if (language !== undefined) {
+      user.language = language;
+    }
+    await user.save();
+    
+    res.json({ 
+      success: true, 
+      channels: user.notificationChannels, 
+      phone: user.phone || '', 
+      language: i18n.getLanguage(user) 
+    });
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({ error: 'Error updating notification preferences' });
+  }
+});
+
+// Get the current user's reminder settings and the reminders they can choose from
+router.get('/reminder-preferences', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id, 'reminderPreferences');
+    
+    res.json({ 
+      success: true, 
+      availableOffsets: reminderScheduler.getReminderOffsets(),
+      preferences: user.reminderPreferences
+    });
+  } catch (error) {
+    console.error('Error fetching reminder preferences:', error);
+    res.status(500).json({ error: 'Error fetching reminder preferences' });
+  }
+});
+
+// Update the current user's reminder settings
+// `offsets` are minutes before the session, picked from the configured reminders
+router.put('/reminder-preferences', async (req, res) => {
+  try {
+    const { enabled, offsets } = req.body;
+    const availableOffsets = reminderScheduler.getReminderOffsets();
+    
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'Enabled must be true or false' });
+    }
+    
+    const selectedOffsets = Array.isArray(offsets) ? [...new Set(offsets.map(offset => parseInt(offset)))] : [];
+    if (selectedOffsets.some(offset => !availableOffsets.includes(offset))) {
+      return res.status(400).json({ error: 'Unknown reminder time selected' });
+    }
+    
+    if (enabled && selectedOffsets.length === 0) {
+      return res.status(400).json({ error: 'Select at least one reminder or turn reminders off' });
+    }
+    
+    // Choosing every reminder is stored as "all", so newly configured reminders apply too
+    const user = await User.findByIdAndUpdate(req.user.id, {
+      $set: {
+        'reminderPreferences.enabled': enabled,
+        'reminderPreferences.offsets': selectedOffsets.length === availableOffsets.length ? [] : selectedOffsets
+      }
+    }, { new: true });
+    
+    res.json({ success: true, preferences: user.reminderPreferences });
+  } catch (error) {
+    console.error('Error updating reminder preferences:', error);
+    res.status(400).json({ error: 'Error updating reminder preferences' });
+  }
+});
+
+// Get the current trainer's agenda digest settings (admin only)
+router.get('/agenda-digest', requireAdmin, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id, 'agendaDigest');
+    
+    res.json({ 
+      success: true, 
+      enabled: user.agendaDigest.enabled, 
+      sendTime: user.agendaDigest.sendTime 
+    });
+  } catch (error) {
+    console.error('Error fetching agenda digest settings:', error);
+    res.status(500).json({ error: 'Error fetching agenda digest settings' });
+  }
+});
+
+// Turn the current trainer's morning agenda email on or off and set when it is sent (admin only)
+router.put('/agenda-digest', requireAdmin, async (req, res) => {
+  try {
+    const { enabled, sendTime } = req.body;
+    
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'Enabled must be true or false' });
+    }
+    
+    if (typeof sendTime !== 'string' || !/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(sendTime)) {
+      return res.status(400).json({ error: 'Invalid time format. Use HH:MM' });
+    }
+    
+    const user = await User.findByIdAndUpdate(req.user.id, {
+      $set: {
+        'agendaDigest.enabled': enabled,
+        'agendaDigest.sendTime': sendTime
+      }
+    }, { new: true });
+    
+    res.json({ 
+      success: true, 
+      enabled: user.agendaDigest.enabled, 
+      sendTime: user.agendaDigest.sendTime 
+    });
+  } catch (error) {
+    console.error('Error updating agenda digest settings:', error);
+    res.status(400).json({ error: 'Error updating agenda digest settings' });
+  }
+});
+
+// Get active cancellation policies (admin only)
+router.get('/cancellation-policies', requireAdmin, async (req, res) => {
+  try {
+    const policies = await CancellationPolicy.getActivePolicies();
+    res.json({ success: true, policies });
+  } catch (error) {
+    console.error('Error fetching cancellation policies:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create cancellation policy (admin only)
+router.post('/cancellation-policies', requireAdmin, async (req, res) => {
+  try {
+    const errors = [];
+    const fields = await parseCancellationPolicy(req.body, errors);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+    
+    const policy = new CancellationPolicy({ ...fields, createdBy: req.user.id });
+    await policy.save();
+    await refreshCancellationDeadlines();
+    
+    res.json({ success: true, policy });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'An active policy already exists for this scope' });
+    }
+    console.error('Error creating cancellation policy:', error);
+    res.status(400).json({ error: 'Error creating cancellation policy' });
+  }
+});
+
+// Update cancellation policy (admin only)
+router.put('/cancellation-policies/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!validator.isMongoId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid policy ID' });
+    }
+    
+    const policy = await CancellationPolicy.findOne({ _id: req.params.id, isActive: true });
+    if (!policy) {
+      return res.status(404).json({ error: 'Cancellation policy not found' });
+    }
+    
+    const errors = [];
+    const fields = await parseCancellationPolicy(req.body, errors);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+    
+    policy.set({ ...fields, updatedAt: new Date() });
+    await policy.save();
+    await refreshCancellationDeadlines();
+    
+    res.json({ success: true, policy });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'An active policy already exists for this scope' });
+    }
+    console.error('Error updating cancellation policy:', error);
+    res.status(400).json({ error: 'Error updating cancellation policy' });
+  }
+});
+
+// Retire cancellation policy (admin only) - kept so past cancellations can still be explained
+router.delete('/cancellation-policies/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!validator.isMongoId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid policy ID' });
+    }
+    
+    const policy = await CancellationPolicy.findOneAndUpdate(
+      { _id: req.params.id, isActive: true },
+      { $set: { isActive: false, updatedAt: new Date() } },
+      { new: true }
+    );
+    
+    if (!policy) {
+      return res.status(404).json({ error: 'Cancellation policy not found' });
+    }
+    
+    await refreshCancellationDeadlines();
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing cancellation policy:', error);
+    res.status(400).json({ error: 'Error removing cancellation policy' });
+  }
+});
+
+// Get the current user's bookings, e.g. `?status=cancelled` for their cancellation history
+router.get('/my-bookings', async (req, res) => {
+  try {
+    const status = req.query.status || 'confirmed';
+    if (!['confirmed', 'attended', 'no-show', 'cancelled'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid booking status' });
+    }
+    
+    const bookings = await Booking.getClientBookings(req.user.id, status);
+    res.json({ success: true, bookings });
+  } catch (error) {
+    console.error('Error fetching user bookings:', error);
+    res.status(500).json({ error: 'Error fetching bookings' });
+  }
+});
+
+// Get bookings of a session with their attendance (trainers/admins only)
+router.get('/session/:id/attendance', requireAdmin, async (req, res) => {
+  try {
+    if (!validator.isMongoId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid session ID' });
+    }
+    
+    const session = await Session.findById(req.params.id).populate('trainer');
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    const bookings = await Booking.find({
+      session: session._id,
+      status: { $in: ['confirmed', 'attended', 'no-show'] }
+    }).populate('client', 'name email phone').sort({ createdAt: 1 });
+    
+    res.json({ success: true, session, bookings });
+  } catch (error) {
+    console.error('Error fetching attendance:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Check in participants of a booking (trainers/admins only)
+// `participants` lists which members of the group (1..groupSize) showed up
+router.post('/booking/:id/check-in', requireAdmin, async (req, res) => {
+  try {
+    if (!validator.isMongoId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid booking ID' });
+    }
+    
+    const booking = await Booking.findById(req.params.id).populate('session');
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    
+    if (!['confirmed', 'attended'].includes(booking.status)) {
+      return res.status(400).json({ error: `Cannot check in a booking that is ${booking.status}` });
+    }
+    
+    if (booking.session && booking.session.getStartDateTime() > new Date()) {
+      return res.status(400).json({ error: 'Check-in opens when the session starts' });
+    }
+    
+    const participants = Array.isArray(req.body.participants)
+      ? req.body.participants.map(p => parseInt(p))
+      : [1];
+    
+    if (participants.some(p => isNaN(p) || p < 1 || p > booking.groupSize)) {
+      return res.status(400).json({ error: `Participants must be between 1 and ${booking.groupSize}` });
+    }
+    
+    const alreadyCheckedIn = booking.checkIns.map(checkIn => checkIn.participant);
+    const newCheckIns = [...new Set(participants)]
+      .filter(p => !alreadyCheckedIn.includes(p))
+      .map(participant => ({ participant, checkedInAt: new Date(), checkedInBy: req.user.id }));
+    
+    // The first check-in turns the booking into an attended one
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: { $in: ['confirmed', 'attended'] } },
+      {
+        $push: { checkIns: { $each: newCheckIns } },
+        $set: {
+          status: 'attended',
+          attendanceMarkedAt: new Date(),
+          attendanceMarkedBy: req.user.id,
+          attendanceAutoMarked: false
+        }
+      },
+      { new: true }
+    );
+    
+    if (!updated) {
+      return res.status(400).json({ error: 'Booking can no longer be checked in' });
+    }
+    
+    res.json({ success: true, booking: updated });
+  } catch (error) {
+    console.error('Error checking in booking:', error);
+    res.status(400).json({ error: 'Error checking in' });
+  }
+});
+
+// Record attendance for a whole session (trainers/admins only)
+// Body: { attendance: [{ bookingId, status: 'attended' | 'no-show', participants: [1, 2] }] }
+router.post('/session/:id/attendance', requireAdmin, async (req, res) => {
+  try {
+    if (!validator.isMongoId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid session ID' });
+    }
+    
+    const { attendance } = req.body;
+    if (!Array.isArray(attendance) || attendance.length === 0) {
+      return res.status(400).json({ error: 'Attendance entries are required' });
+    }
+    
+    for (const entry of attendance) {
+      if (!entry.bookingId || !validator.isMongoId(String(entry.bookingId))) {
+        return res.status(400).json({ error: 'Invalid booking ID' });
+      }
+      if (!['attended', 'no-show'].includes(entry.status)) {
+        return res.status(400).json({ error: 'Attendance status must be attended or no-show' });
+      }
+    }
+    
+    const session = await Session.findById(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    if (session.getStartDateTime() > new Date()) {
+      return res.status(400).json({ error: 'Attendance can only be recorded once the session has started' });
+    }
+    
+    const bookings = await Booking.find({
+      _id: { $in: attendance.map(entry => entry.bookingId) },
+      session: session._id,
+      status: { $in: ['confirmed', 'attended', 'no-show'] }
+    });
+    const bookingsById = new Map(bookings.map(booking => [booking._id.toString(), booking]));
+    
+    const updated = [];
+    const errors = [];
+    
+    for (const entry of attendance) {
+      const booking = bookingsById.get(String(entry.bookingId));
+      if (!booking) {
+        errors.push({ bookingId: entry.bookingId, error: 'Booking not found for this session' });
+        continue;
+      }
+      
+      let checkIns = [];
+      if (entry.status === 'attended') {
+        const participants = Array.isArray(entry.participants) && entry.participants.length > 0
+          ? [...new Set(entry.participants.map(p => parseInt(p)))]
+          : Array.from({ length: booking.groupSize }, (_, i) => i + 1);
+        
+        if (participants.some(p => isNaN(p) || p < 1 || p > booking.groupSize)) {
+          errors.push({ bookingId: entry.bookingId, error: `Participants must be between 1 and ${booking.groupSize}` });
+          continue;
+        }
+        
+        // Keep the original check-in time of participants already checked in
+        checkIns = participants.map(participant =>
+          booking.checkIns.find(checkIn => checkIn.participant === participant) ||
+          { participant, checkedInAt: new Date(), checkedInBy: req.user.id }
+        );
+      }
+      
+      booking.status = entry.status;
+      booking.checkIns = checkIns;
+      booking.attendanceMarkedAt = new Date();
+      booking.attendanceMarkedBy = req.user.id;
+      booking.attendanceAutoMarked = false;
+      await booking.save();
+      updated.push(booking);
+    }
+    
+    res.json({ success: true, bookings: updated, errors });
+  } catch (error) {
+    console.error('Error recording attendance:', error);
+    res.status(400).json({ error: 'Error recording attendance' });
+  }
+});
+
+// Join the waitlist of a full session
+router.post('/session/:id/waitlist', requireVerifiedEmail, async (req, res) => {
+  try {
+    const { groupSize } = req.body;
+    
+    if (req.user.role === 'admin') {
+      return res.status(403).json({ error: 'Admins cannot join waitlists' });
+    }
+    
+    if (!validator.isMongoId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid session ID' });
+    }
+    
+    if (!groupSize || !validator.isInt(groupSize.toString(), { min: 1, max: 4 })) {
+      return res.status(400).json({ error: 'Group size must be between 1 and 4' });
+    }
+    
+    const session = await Session.findById(req.params.id);
+    if (!session || !session.isActive || session.getStartDateTime() <= new Date()) {
+      return res.status(400).json({ error: 'Session not available' });
+    }
+    
+    if (parseInt(groupSize) > session.maxCapacity) {
+      return res.status(400).json({ error: `This session only takes up to ${session.maxCapacity} people` });
+    }
+    
+    if (await session.hasCapacity(parseInt(groupSize))) {
+      return res.status(400).json({ error: 'Spots are available - please book the session directly' });
+    }
+    
+    const existingEntry = await WaitlistEntry.findOne({
+      session: session._id,
+      client: req.user.id,
+      status: 'waiting'
+    });
+    
+    if (existingEntry) {
+      return res.status(400).json({ error: 'You are already on the waitlist for this session' });
+    }
+    
+    const entry = new WaitlistEntry({
+      session: session._id,
+      client: req.user.id,
+      groupSize: parseInt(groupSize)
+    });
+    
+    await entry.save();
+    const position = await entry.getPosition();
+    
+    res.json({ success: true, entry, position });
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+    res.status(400).json({ error: 'Error joining waitlist' });
+  }
+});
+
+// Get the current user's waitlist entries with their queue positions
+router.get('/waitlist', async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.find({ client: req.user.id, status: 'waiting' })
+      .populate({ path: 'session', populate: { path: 'trainer' } })
+      .sort({ createdAt: 1 });
+    
+    const entriesWithPosition = await Promise.all(
+      entries.map(async (entry) => ({
+        ...entry.toObject(),
+        position: await entry.getPosition()
+      }))
+    );
+    
+    res.json({ success: true, entries: entriesWithPosition });
+  } catch (error) {
+    console.error('Error fetching waitlist:', error);
+    res.status(500).json({ error: 'Error fetching waitlist' });
+  }
+});
+
+// Leave a waitlist
+router.delete('/waitlist/:id', async (req, res) => {
+  try {
+    if (!validator.isMongoId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid waitlist entry ID' });
+    }
+    
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry || entry.status !== 'waiting') {
+      return res.status(404).json({ error: 'Waitlist entry not found' });
+    }
+    
+    if (req.user.role !== 'admin' && entry.client.toString() !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+    
+    entry.status = 'cancelled';
+    await entry.save();
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error leaving waitlist:', error);
+    res.status(400).json({ error: 'Error leaving waitlist' });
+  }
+});
+
+// Get trainers (admin only)
+router.get('/trainers', requireAdmin, async (req, res) => {
+  try {
+    const trainers = await User.find({ role: 'admin' }, 'name email phone');
+    res.json(trainers);
+  } catch (error) {
     console.error('Error fetching trainers:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get clients (admin only)
-router.get('/clients', requireAdmin, async (req, res) => {
+// Get invitations, newest first (admin only)
+router.get('/invitations', requireAdmin, async (req, res) => {
+  try {
+    const invitations = await Invitation.find()
+      .select('-tokenHash')
+      .populate('invitedBy', 'name')
+      .populate('acceptedUser', 'name')
+      .sort({ createdAt: -1 })
+      .limit(100);
+    
+    res.json({
+      success: true,
+      invitations: invitations.map(invitation => ({ ...invitation.toObject(), status: invitation.getStatus() }))
+    });
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Invite someone to create an account with a role (admin only). The single-use link
+// is emailed to them; inviting the same email again replaces the earlier link.
+router.post('/invitations', requireAdmin, async (req, res) => {
+  try {
+    const { email, role, language } = req.body;
+    
+    const errors = [];
+    if (!email || !validator.isEmail(String(email))) errors.push('Valid email is required');
+    if (!['admin', 'client'].includes(role)) errors.push('Role must be admin or client');
+    if (language && !i18n.SUPPORTED_LANGUAGES.includes(language)) errors.push('Unsupported language');
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+    
+    if (await User.exists({ email: String(email).toLowerCase() })) {
+      return res.status(400).json({ error: 'A user with this email already exists' });
+    }
+    
+    const { invitation, token } = await Invitation.issue({
+      email,
+      role,
+      language: language || undefined,
+      invitedBy: req.user.id
+    });
+    
+    const inviter = await User.findById(req.user.id, 'name');
+    const emailResult = await emailService.sendInvitation(invitation, token, inviter);
+    if (!emailResult.success) {
+      await Invitation.updateOne({ _id: invitation._id }, { $set: { revokedAt: new Date() } });
+      return res.status(500).json({ error: 'Error sending invitation email' });
+    }
+    
+    const { tokenHash, ...fields } = invitation.toObject();
+    res.json({ success: true, invitation: { ...fields, status: invitation.getStatus() } });
+  } catch (error) {
+    console.error('Error creating invitation:', error);
+    res.status(400).json({ error: 'Error creating invitation' });
+  }
+});
+
+// Revoke a pending invitation so its link stops working (admin only)
+router.delete('/invitations/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!validator.isMongoId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid invitation ID' });
+    }
+    
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: req.params.id, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!invitation) {
+      return res.status(400).json({ error: 'Only pending invitations can be revoked' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get clients (admin only)
+router.get('/clients', requireAdmin, async (req, res) => {
+  try {
+    const clients = await User.getClients();
+    
+    const clientsWithPackages = await Promise.all(clients.map(async (client) => {
+      const summary = await packageService.getClientPackageSummary(client._id);
+      return {
+        ...client.toObject(),
+        packageBalance: summary.balance,
+        packageExpiry: summary.nextExpiry,
+        packages: summary.packages
+      };
+    }));
+    
+    res.json(clientsWithPackages);
+  } catch (error) {
+    console.error('Error fetching clients:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update booking notes (admin only)
+router.put('/booking/:id/notes', requireAdmin, async (req, res) => {
+  try {
+    if (!validator.isMongoId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid booking ID' });
+    }
+    
+    const { notes } = req.body;
+    const sanitizedNotes = sanitizeInput(notes) || '';
+    
+    const booking = await Booking.findByIdAndUpdate(
+      req.params.id,
+      { notes: sanitizedNotes },
+      { new: true }
+    ).populate('client', 'name email phone');
+    
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    
+    res.json({ success: true, booking });
+  } catch (error) {
+    console.error('Error updating booking notes:', error);
+    res.status(400).json({ error: 'Error updating notes' });
+  }
+});
+
+// Validate a package product request body into the fields to save
+function parsePackageProduct(body, errors) {
+  const fields = {
+    name: sanitizeInput(body.name),
+    description: sanitizeInput(body.description) || ''
+  };
+  
+  if (!fields.name) errors.push('Product name is required');
+  if (!validator.isInt(String(body.credits), { min: 1, max: 100 })) errors.push('Credits must be between 1 and 100');
+  if (!validator.isInt(String(body.validityDays), { min: 1, max: 730 })) errors.push('Validity must be between 1 and 730 days');
+  if (!validator.isFloat(String(body.price), { min: 0 })) errors.push('Price must be a positive number');
+  if (!validator.isInt(String(body.maxGroupSize), { min: 1, max: 4 })) errors.push('Max group size must be between 1 and 4');
+  
+  const exerciseTypes = Array.isArray(body.exerciseTypes) ? [...new Set(body.exerciseTypes)] : [];
+  if (exerciseTypes.length === 0 || exerciseTypes.some(type => !['body-health', 'regular-training'].includes(type))) {
+    errors.push('At least one valid exercise type is required');
+  }
+  
+  return {
+    ...fields,
+    credits: parseInt(body.credits),
+    validityDays: parseInt(body.validityDays),
+    price: parseFloat(body.price),
+    maxGroupSize: parseInt(body.maxGroupSize),
+    exerciseTypes
+  };
+}
+
+// Get the package products on sale
+router.get('/package-products', async (req, res) => {
+  try {
+    const products = await PackageProduct.getActiveProducts();
+    res.json({ success: true, products });
+  } catch (error) {
+    console.error('Error fetching package products:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create package product (admin only)
+router.post('/package-products', requireAdmin, async (req, res) => {
+  try {
+    const errors = [];
+    const fields = parsePackageProduct(req.body, errors);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+    
+    const product = new PackageProduct({ ...fields, createdBy: req.user.id });
+    await product.save();
+    
+    res.json({ success: true, product });
+  } catch (error) {
+    console.error('Error creating package product:', error);
+    res.status(400).json({ error: 'Error creating package product' });
+  }
+});
+
+// Update package product (admin only) - packages already sold keep their terms
+router.put('/package-products/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!validator.isMongoId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid package product ID' });
+    }
+    
+    const errors = [];
+    const fields = parsePackageProduct(req.body, errors);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+    
+    const product = await PackageProduct.findOneAndUpdate(
+      { _id: req.params.id, isActive: true },
+      { $set: { ...fields, updatedAt: new Date() } },
+      { new: true, runValidators: true }
+    );
+    
+    if (!product) {
+      return res.status(404).json({ error: 'Package product not found' });
+    }
+    
+    res.json({ success: true, product });
+  } catch (error) {
+    console.error('Error updating package product:', error);
+    res.status(400).json({ error: 'Error updating package product' });
+  }
+});
+
+// Withdraw package product from sale (admin only)
+router.delete('/package-products/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!validator.isMongoId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid package product ID' });
+    }
+    
+    const product = await PackageProduct.findOneAndUpdate(
+      { _id: req.params.id, isActive: true },
+      { $set: { isActive: false, updatedAt: new Date() } },
+      { new: true }
+    );
+    
+    if (!product) {
+      return res.status(404).json({ error: 'Package product not found' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing package product:', error);
+    res.status(400).json({ error: 'Error removing package product' });
+  }
+});
+
+// Client package management (admin only)
+router.post('/client/:id/add-package', requireAdmin, async (req, res) => {
+  try {
+    if (!validator.isMongoId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid client ID' });
+    }
+    
+    const client = await User.findById(req.params.id);
+    
+    if (!client || client.role !== 'client') {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const { productId } = req.body;
+    if (!productId || !validator.isMongoId(String(productId))) {
+      return res.status(400).json({ error: 'Invalid package product ID' });
+    }
+    
+    const product = await PackageProduct.findOne({ _id: productId, isActive: true });
+    if (!product) {
+      return res.status(404).json({ error: 'Package product not found' });
+    }
+
+    const pkg = await packageService.grantPackage(client._id, product, { createdBy: req.user.id });
+
+    res.json({ success: true, package: pkg });
+  } catch (error) {
+    console.error('Error adding package:', error);
+    res.status(400).json({ error: 'Error adding package' });
+  }
+});
+
+// Close all active packages of a client; their remaining credits are written off in the ledger
+router.post('/client/:id/reset-package', requireAdmin, async (req, res) => {
+  try {
+    if (!validator.isMongoId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid client ID' });
+    }
+    
+    const client = await User.findById(req.params.id);
+    
+    if (!client || client.role !== 'client') {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const closedCount = await packageService.closeClientPackages(client._id, {
+      note: sanitizeInput(req.body.note) || 'Package reset by admin',
+      createdBy: req.user.id
+    });
+
+    res.json({ success: true, closedCount });
+  } catch (error) {
+    console.error('Error resetting package:', error);
+    res.status(400).json({ error: 'Error resetting package' });
+  }
+});
+
+// Manually add or remove credits on a client's package (admin only)
+router.post('/package/:id/adjust', requireAdmin, async (req, res) => {
+  try {
+    if (!validator.isMongoId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid package ID' });
+    }
+    
+    const { credits } = req.body;
+    const note = sanitizeInput(req.body.note);
+    
+    if (credits === undefined || !validator.isInt(String(credits), { min: -100, max: 100 }) || parseInt(credits) === 0) {
+      return res.status(400).json({ error: 'Credits must be a whole number between -100 and 100, other than 0' });
+    }
+    
+    if (!note) {
+      return res.status(400).json({ error: 'A note explaining the adjustment is required' });
+    }
+    
+    const entry = await packageService.adjustCredits(req.params.id, parseInt(credits), {
+      note,
+      createdBy: req.user.id
+    });
+    
+    if (!entry) {
+      return res.status(404).json({ error: 'Package not found' });
+    }
+    
+    res.json({ success: true, entry });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error adjusting package credits:', error);
+    res.status(400).json({ error: 'Error adjusting package credits' });
+  }
+});
+
+// Get a client's packages and credit history (admin only)
+router.get('/client/:id/packages', requireAdmin, async (req, res) => {
+  try {
+    if (!validator.isMongoId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid client ID' });
+    }
+    
+    const summary = await packageService.getClientPackageSummary(req.params.id);
+    const history = await PackageLedgerEntry.getClientHistory(req.params.id);
+    
+    res.json({ success: true, ...summary, history });
+  } catch (error) {
+    console.error('Error fetching client packages:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the current user's packages, credit balance and credit history
+router.get('/my-package', async (req, res) => {
   try {
-    const clients = await User.getClientsWithPackageInfo();
-    res.json(clients);
+    const summary = await packageService.getClientPackageSummary(req.user.id);
+    const history = await PackageLedgerEntry.getClientHistory(req.user.id);
+    
+    res.json({ success: true, ...summary, history });
   } catch (error) {
-    console.error('Error fetching clients:', error);
+    console.error('Error fetching package information:', error);
+    res.status(500).json({ error: 'Error fetching package information' });
+  }
+});
+
+// List the email templates and languages that can be previewed (admin only)
+router.get('/email-templates', requireAdmin, (req, res) => {
+  res.json({ 
+    success: true, 
+    templates: emailService.TEMPLATE_NAMES, 
+    languages: i18n.SUPPORTED_LANGUAGES,
+    defaultLanguage: i18n.getDefaultLanguage()
+  });
+});
+
+// Render an email template with sample data (admin only)
+// ?format=html or ?format=text returns that part on its own, for viewing in the browser
+router.get('/email-templates/:name/preview', requireAdmin, async (req, res) => {
+  try {
+    const { name } = req.params;
+    const language = req.query.language || i18n.getDefaultLanguage();
+    
+    if (!emailService.TEMPLATE_NAMES.includes(name)) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    
+    if (!i18n.SUPPORTED_LANGUAGES.includes(language)) {
+      return res.status(400).json({ error: 'Unsupported language' });
+    }
+    
+    const preview = await emailService.renderPreview(name, language);
+    
+    if (req.query.format === 'html') {
+      return res.type('html').send(preview.html);
+    }
+    if (req.query.format === 'text') {
+      return res.type('text').send(`${preview.subject}
+
+${preview.text}`);
+    }
+    
+    res.json({ success: true, language, ...preview });
+  } catch (error) {
+    console.error('Error rendering email preview:', error);
+    res.status(500).json({ error: 'Error rendering email preview' });
+  }
+});
+
+// Delivery log: outbox messages, optionally by status, type and recipient user (admin only)
+router.get('/outbox', requireAdmin, async (req, res) => {
+  try {
+    const { status, type, user } = req.query;
+    const query = {};
+    
+    if (user) {
+      if (!validator.isMongoId(user)) {
+        return res.status(400).json({ error: 'Invalid user ID' });
+      }
+      query.user = new mongoose.Types.ObjectId(user);
+    }
+    if (status) {
+      if (!OutboxMessage.schema.path('status').enumValues.includes(status)) {
+        return res.status(400).json({ error: 'Invalid status' });
+      }
+      query.status = status;
+    }
+    if (type) {
+      query.type = sanitizeInput(type);
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    // Totals per status and the types to filter by, for the user when one is given
+    const scope = query.user ? { user: query.user } : {};
+    const [messages, counts, types] = await Promise.all([
+      OutboxMessage.find(query)
+        .select('-html -text -icalEvent.content')
+        .populate('user', 'name email')
+        .populate({
+          path: 'session',
+          select: 'date time exerciseType'
+        })
+        .sort({ createdAt: -1 })
+        .limit(limit),
+      OutboxMessage.aggregate([
+        { $match: scope },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      OutboxMessage.distinct('type', scope)
+    ]);
+    
+    const totals = {};
+    counts.forEach(count => { totals[count._id] = count.count; });
+    
+    res.json({ success: true, messages, totals, types: types.sort() });
+  } catch (error) {
+    console.error('Error fetching outbox:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Update booking notes (admin only)
-router.put('/booking/:id/notes', requireAdmin, async (req, res) => {
+// Get one outbox message with its content (admin only)
+router.get('/outbox/:id', requireAdmin, async (req, res) => {
   try {
     if (!validator.isMongoId(req.params.id)) {
-      return res.status(400).json({ error: 'Invalid booking ID' });
+      return res.status(400).json({ error: 'Invalid message ID' });
     }
     
-    const { notes } = req.body;
-    const sanitizedNotes = sanitizeInput(notes) || '';
+    const message = await OutboxMessage.findById(req.params.id).populate('user', 'name email');
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
     
-    const booking = await Booking.findByIdAndUpdate(
-      req.params.id,
-      { notes: sanitizedNotes },
+    res.json({ success: true, message });
+  } catch (error) {
+    console.error('Error fetching outbox message:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Queue a failed outbox message for delivery again (admin only)
+router.post('/outbox/:id/resend', requireAdmin, async (req, res) => {
+  try {
+    if (!validator.isMongoId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid message ID' });
+    }
+    
+    const message = await outboxWorker.resendMessage(req.params.id);
+    if (!message) {
+      return res.status(400).json({ error: 'Only failed messages can be resent' });
+    }
+    
+    outboxWorker.processOutbox();
+    res.json({ success: true, message: 'Message queued for delivery' });
+  } catch (error) {
+    console.error('Error resending outbox message:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Parse and validate a segment from a request body; problems are added to `errors`
+function parseSegment(body, errors) {
+  const rules = Segment.schema.path('rule').enumValues;
+  const fields = {
+    name: typeof body.name === 'string' ? sanitizeInput(body.name) : '',
+    rule: body.rule
+  };
+  
+  if (!fields.name) {
+    errors.push('Name is required');
+  }
+  if (!rules.includes(body.rule)) {
+    errors.push('Invalid segment rule');
+  }
+  
+  if (body.rule === 'packages-expiring' || body.rule === 'inactive') {
+    const days = parseInt(body.days);
+    if (!days || days < 1 || days > 365) {
+      errors.push('Days must be between 1 and 365');
+    }
+    fields.days = days;
+  }
+  
+  if (body.rule === 'booked-next-week') {
+    if (body.trainerId) {
+      if (!validator.isMongoId(body.trainerId)) {
+        errors.push('Invalid trainer ID');
+      }
+      fields.trainer = body.trainerId;
+    }
+    if (body.exerciseType) {
+      if (!['body-health', 'regular-training'].includes(body.exerciseType)) {
+        errors.push('Invalid exercise type');
+      }
+      fields.exerciseType = body.exerciseType;
+    }
+  }
+  
+  return fields;
+}
+
+// Get saved segments with their current recipient counts (admin only)
+router.get('/segments', requireAdmin, async (req, res) => {
+  try {
+    const segments = await Segment.find().populate('trainer', 'name').sort({ name: 1 });
+    const results = [];
+    
+    for (const segment of segments) {
+      const recipients = await campaignService.getSegmentRecipients(segment);
+      results.push({ ...segment.toObject(), description: segment.describe(), recipientCount: recipients.length });
+    }
+    
+    res.json({ success: true, segments: results });
+  } catch (error) {
+    console.error('Error fetching segments:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create segment (admin only)
+router.post('/segments', requireAdmin, async (req, res) => {
+  try {
+    const errors = [];
+    const fields = parseSegment(req.body, errors);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+    
+    if (fields.trainer) {
+      const trainer = await User.findOne({ _id: fields.trainer, role: 'admin' });
+      if (!trainer) {
+        return res.status(400).json({ error: 'Trainer not found' });
+      }
+    }
+    
+    const segment = new Segment({ ...fields, createdBy: req.user.id });
+    await segment.save();
+    
+    res.json({ success: true, segment });
+  } catch (error) {
+    console.error('Error creating segment:', error);
+    res.status(400).json({ error: 'Error creating segment' });
+  }
+});
+
+// Delete segment (admin only) - campaigns already scheduled for it are cancelled
+router.delete('/segments/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!validator.isMongoId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid segment ID' });
+    }
+    
+    const segment = await Segment.findByIdAndDelete(req.params.id);
+    if (!segment) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+    
+    await Campaign.updateMany(
+      { segment: segment._id, status: 'scheduled' },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } }
+    );
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting segment:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Preview who a segment would reach right now (admin only)
+router.get('/segments/:id/preview', requireAdmin, async (req, res) => {
+  try {
+    if (!validator.isMongoId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid segment ID' });
+    }
+    
+    const segment = await Segment.findById(req.params.id).populate('trainer', 'name');
+    if (!segment) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+    
+    const preview = await campaignService.previewSegment(segment);
+    res.json({ success: true, description: segment.describe(), ...preview });
+  } catch (error) {
+    console.error('Error previewing segment:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get campaign history with delivery counts (admin only)
+router.get('/campaigns', requireAdmin, async (req, res) => {
+  try {
+    const campaigns = await campaignService.getCampaignHistory();
+    res.json({ success: true, campaigns });
+  } catch (error) {
+    console.error('Error fetching campaigns:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Schedule a broadcast to a segment, sent now unless scheduledAt is given (admin only).
+router.post('/campaigns', requireAdmin, async (req, res) => {
+  try {
+    const { segmentId, subject, message, scheduledAt } = req.body;
+    
+    if (!segmentId || !validator.isMongoId(segmentId)) {
+      return res.status(400).json({ error: 'Invalid segment ID' });
+    }
+    if (typeof subject !== 'string' || !subject.trim() || typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({ error: 'Subject and message are required' });
+    }
+    
+    let sendAt = new Date();
+    if (scheduledAt) {
+      sendAt = new Date(scheduledAt);
+      if (isNaN(sendAt.getTime())) {
+        return res.status(400).json({ error: 'Invalid send time' });
+      }
+    }
+    
+    const segment = await Segment.findById(segmentId);
+    if (!segment) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+    
+    const campaign = new Campaign({
+      segment: segment._id,
+      segmentName: segment.name,
+      // Stored as written and escaped where it is shown (email templates, admin page)
+      subject: subject.trim(),
+      message: message.trim(),
+      scheduledAt: sendAt,
+      createdBy: req.user.id
+    });
+    await campaign.save();
+    
+    if (sendAt <= new Date()) {
+      campaignService.processDueCampaigns();
+    }
+    
+    res.json({ success: true, campaign });
+  } catch (error) {
+    console.error('Error creating campaign:', error);
+    res.status(400).json({ error: 'Error creating campaign' });
+  }
+});
+
+// Cancel a campaign that hasn't been sent yet (admin only)
+router.post('/campaigns/:id/cancel', requireAdmin, async (req, res) => {
+  try {
+    if (!validator.isMongoId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid campaign ID' });
+    }
+    
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: req.params.id, status: 'scheduled' },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
       { new: true }
-    ).populate('client', 'name email phone');
+    );
+    if (!campaign) {
+      return res.status(400).json({ error: 'Only scheduled campaigns can be cancelled' });
+    }
     
-    if (!booking) {
-      return res.status(404).json({ error: 'Booking not found' });
+    res.json({ success: true, campaign });
+  } catch (error) {
+    console.error('Error cancelling campaign:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Parse and validate a webhook endpoint from a request body; problems are added to `errors`.
+// With `partial`, fields that are missing from the body are left out.
+function parseWebhookEndpoint(body, errors, partial = false) {
+  const fields = {};
+  
+  if (!partial || body.url !== undefined) {
+    // URLs are stored as given; escaping would break query strings
+    const url = typeof body.url === 'string' ? body.url.trim() : '';
+    if (!validator.isURL(url, { protocols: ['http', 'https'], require_protocol: true, require_tld: false })) {
+      errors.push('A valid http(s) URL is required');
+    }
+    fields.url = url;
+  }
+  if (!partial || body.description !== undefined) {
+    fields.description = sanitizeInput(body.description) || '';
+  }
+  if (!partial || body.events !== undefined) {
+    const events = Array.isArray(body.events) ? body.events : [];
+    if (events.length === 0 || events.some(event => !webhookService.EVENTS.includes(event))) {
+      errors.push('Events must be one or more of: ' + webhookService.EVENTS.join(', '));
     }
+    fields.events = [...new Set(events)];
+  }
+  if (body.isActive !== undefined) {
+    fields.isActive = body.isActive === true || body.isActive === 'true';
+  }
+  
+  return fields;
+}
+
+// Get webhook endpoints with their delivery totals (admin only)
+router.get('/webhooks', requireAdmin, async (req, res) => {
+  try {
+    const [endpoints, counts] = await Promise.all([
+      WebhookEndpoint.find().sort({ createdAt: -1 }),
+      OutboxMessage.aggregate([
+        { $match: { channel: 'webhook' } },
+        { $group: { _id: { endpoint: '$webhookEndpoint', status: '$status' }, count: { $sum: 1 } } }
+      ])
+    ]);
     
-    res.json({ success: true, booking });
+    const totals = {};
+    counts.forEach(count => {
+      const id = String(count._id.endpoint);
+      totals[id] = totals[id] || {};
+      totals[id][count._id.status] = count.count;
+    });
+    
+    res.json({
+      success: true,
+      events: webhookService.EVENTS,
+      endpoints: endpoints.map(endpoint => ({ ...endpoint.toObject(), totals: totals[String(endpoint._id)] || {} }))
+    });
   } catch (error) {
-    console.error('Error updating booking notes:', error);
-    res.status(400).json({ error: 'Error updating notes' });
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Client package management (admin only)
-router.post('/client/:id/add-package', requireAdmin, async (req, res) => {
+// Create webhook endpoint (admin only). The response carries the signing secret.
+router.post('/webhooks', requireAdmin, async (req, res) => {
+  try {
+    const errors = [];
+    const fields = parseWebhookEndpoint(req.body, errors);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+    
+    const endpoint = new WebhookEndpoint({ ...fields, createdBy: req.user.id });
+    await endpoint.save();
+    
+    res.json({ success: true, endpoint });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(400).json({ error: 'Error creating webhook' });
+  }
+});
+
+// Update webhook endpoint (admin only) - pause or resume it with `isActive`, or get a
+// new signing secret with `rotateSecret`
+router.put('/webhooks/:id', requireAdmin, async (req, res) => {
   try {
     if (!validator.isMongoId(req.params.id)) {
-      return res.status(400).json({ error: 'Invalid client ID' });
+      return res.status(400).json({ error: 'Invalid webhook ID' });
     }
     
-    const client = await User.findById(req.params.id);
+    const errors = [];
+    const fields = parseWebhookEndpoint(req.body, errors, true);
     
-    if (!client || client.role !== 'client') {
-      return res.status(404).json({ error: 'Client not found' });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+    
+    if (req.body.rotateSecret === true) {
+      fields.secret = crypto.randomBytes(24).toString('hex');
+    }
+    
+    const endpoint = await WebhookEndpoint.findByIdAndUpdate(
+      req.params.id,
+      { $set: fields },
+      { new: true, runValidators: true }
+    );
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Webhook not found' });
     }
+    
+    res.json({ success: true, endpoint });
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(400).json({ error: 'Error updating webhook' });
+  }
+});
 
-    const updatedClient = await User.findByIdAndUpdate(req.params.id, {
-      $inc: { activeSessions: 8 },
-      $set: { packageExpiry: new Date(Date.now() + (90 * 24 * 60 * 60 * 1000)) }
-    }, { new: true });
+// Delete webhook endpoint (admin only) - calls still queued for it are given up
+router.delete('/webhooks/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!validator.isMongoId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid webhook ID' });
+    }
+    
+    const endpoint = await WebhookEndpoint.findByIdAndDelete(req.params.id);
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    await OutboxMessage.updateMany(
+      { webhookEndpoint: endpoint._id, status: 'pending' },
+      { $set: { status: 'failed', lastError: 'Webhook endpoint was deleted' } }
+    );
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    res.json({ success: true, client: updatedClient });
+// Queue a 'webhook.test' event for an endpoint (admin only)
+router.post('/webhooks/:id/test', requireAdmin, async (req, res) => {
+  try {
+    if (!validator.isMongoId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid webhook ID' });
+    }
+    
+    const endpoint = await WebhookEndpoint.findById(req.params.id);
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    const message = await webhookService.sendTestEvent(endpoint, req.user.id);
+    
+    outboxWorker.processOutbox();
+    res.json({ success: true, message: 'Test event queued for delivery', outboxId: message._id });
   } catch (error) {
-    console.error('Error adding package:', error);
-    res.status(400).json({ error: 'Error adding package' });
+    console.error('Error sending test webhook:', error);
+    res.status(500).json({ error: 'Error sending test webhook' });
   }
 });
 
-router.post('/client/:id/reset-package', requireAdmin, async (req, res) => {
+// Delivery log of one webhook endpoint, with payloads (admin only)
+router.get('/webhooks/:id/deliveries', requireAdmin, async (req, res) => {
   try {
     if (!validator.isMongoId(req.params.id)) {
-      return res.status(400).json({ error: 'Invalid client ID' });
+      return res.status(400).json({ error: 'Invalid webhook ID' });
     }
     
-    const updatedClient = await User.findByIdAndUpdate(req.params.id, {
-      $set: { 
-        activeSessions: 0,
-        packageExpiry: null 
+    const query = { webhookEndpoint: req.params.id };
+    if (req.query.status) {
+      if (!OutboxMessage.schema.path('status').enumValues.includes(req.query.status)) {
+        return res.status(400).json({ error: 'Invalid status' });
       }
-    }, { new: true });
-
-    if (!updatedClient) {
-      return res.status(404).json({ error: 'Client not found' });
+      query.status = req.query.status;
     }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const messages = await OutboxMessage.find(query)
+      .select('-html -icalEvent')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+    
+    res.json({ success: true, messages });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    res.json({ success: true, client: updatedClient });
+// Average ratings per trainer and exercise type, with the latest comments (admin only)
+router.get('/feedback', requireAdmin, async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.trainer) {
+      if (!validator.isMongoId(req.query.trainer)) {
+        return res.status(400).json({ error: 'Invalid trainer ID' });
+      }
+      query.trainer = req.query.trainer;
+    }
+    
+    const [summary, recent] = await Promise.all([
+      Feedback.getRatingSummary(),
+      Feedback.find(query)
+        .populate('client', 'name')
+        .populate('trainer', 'name')
+        .populate('session', 'date time exerciseType')
+        .sort({ updatedAt: -1 })
+        .limit(50)
+    ]);
+    
+    res.json({ success: true, ...summary, recent });
   } catch (error) {
-    console.error('Error resetting package:', error);
-    res.status(400).json({ error: 'Error resetting package' });
+    console.error('Error fetching feedback:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
@@ -0,0 +1,63 @@
+const express = require('express');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Booking = require('../models/Booking');
+const calendarService = require('../calendarService');
+
+const router = express.Router();
+
+// NOTE: These routes are public - calendar apps can't log in, so the token in the
+// URL is the only credential. Users can regenerate or revoke it from their settings.
+
+const FEED_HISTORY_DAYS = 90;
+
+function sendCalendar(res, content) {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'inline; filename="calendar.ics"',
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.send(content);
+}
+
+// Calendar feed of a user: a client gets their bookings, a trainer the sessions they teach
+router.get('/:token.ics', async (req, res) => {
+  try {
+    if (!/^[a-f0-9]{64}$/.test(req.params.token)) {
+      return res.status(404).send('Calendar not found');
+    }
+    
+    const user = await User.findOne({ calendarFeedToken: req.params.token });
+    if (!user) {
+      return res.status(404).send('Calendar not found');
+    }
+    
+    if (user.role === 'client') {
+      const bookings = await Booking.getClientBookings(user._id, { $in: ['confirmed', 'attended', 'no-show', 'cancelled'] });
+      return sendCalendar(res, calendarService.buildClientFeed(user, bookings));
+    }
+    
+    const sessions = await Session.find({
+      trainer: user._id,
+      date: { $gte: new Date(Date.now() - (FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000)) }
+    }).sort({ date: 1, time: 1 });
+    
+    const bookings = await Booking.find({
+      session: { $in: sessions.map(session => session._id) },
+      status: { $in: ['confirmed', 'attended'] }
+    }).populate('client', 'name');
+    
+    const bookingsBySession = {};
+    bookings.forEach(booking => {
+      const key = booking.session.toString();
+      (bookingsBySession[key] = bookingsBySession[key] || []).push(booking);
+    });
+    
+    sendCalendar(res, calendarService.buildTrainerFeed(user, sessions, bookingsBySession));
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).send('Error building calendar');
+  }
+});
+
+module.exports = router;
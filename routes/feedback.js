@@ -0,0 +1,98 @@
+const express = require('express');
+const validator = require('validator');
+const Booking = require('../models/Booking');
+const Feedback = require('../models/Feedback');
+const feedbackService = require('../feedbackService');
+
+const router = express.Router();
+
+// NOTE: These routes are public - clients follow them from the feedback email
+// without logging in. The signed token in the URL names the booking being rated.
+
+const MAX_COMMENT_LENGTH = 1000;
+
+// Helper function
+function sanitizeInput(input) {
+  if (typeof input !== 'string') return input;
+  return validator.escape(input.trim());
+}
+
+function parseRating(value) {
+  const rating = parseInt(value);
+  return rating >= 1 && rating <= 5 ? rating : null;
+}
+
+// Booking of a feedback link, if it can still be rated
+async function findRatableBooking(token) {
+  const bookingId = feedbackService.verifyFeedbackToken(token);
+  if (!bookingId) {
+    return null;
+  }
+
+  const booking = await Booking.findOne({ _id: bookingId, status: 'attended' }).populate('session');
+  return booking && booking.session ? booking : null;
+}
+
+// Feedback page. Links in the email carry ?rating=N, which is saved right away.
+router.get('/:token', async (req, res) => {
+  try {
+    const booking = await findRatableBooking(req.params.token);
+    if (!booking) {
+      return res.status(404).render('feedback', { error: 'This feedback link is invalid or has expired.' });
+    }
+    
+    let feedback;
+    const rating = parseRating(req.query.rating);
+    if (rating) {
+      feedback = await feedbackService.saveFeedback(booking, rating);
+    } else {
+      feedback = await Feedback.findOne({ booking: booking._id });
+    }
+    
+    res.render('feedback', {
+      token: req.params.token,
+      session: booking.session,
+      feedback,
+      saved: !!rating
+    });
+  } catch (error) {
+    console.error('Error loading feedback page:', error);
+    res.status(500).render('feedback', { error: 'Something went wrong. Please try again later.' });
+  }
+});
+
+// Save a rating with an optional comment
+router.post('/:token', async (req, res) => {
+  try {
+    const booking = await findRatableBooking(req.params.token);
+    if (!booking) {
+      return res.status(404).render('feedback', { error: 'This feedback link is invalid or has expired.' });
+    }
+    
+    const rating = parseRating(req.body.rating);
+    const comment = sanitizeInput(req.body.comment) || '';
+    let error = null;
+    if (!rating) {
+      error = 'Please choose a rating from 1 to 5 stars.';
+    } else if (comment.length > MAX_COMMENT_LENGTH) {
+      error = `Please keep your comment under ${MAX_COMMENT_LENGTH} characters.`;
+    }
+    
+    if (error) {
+      return res.status(400).render('feedback', {
+        token: req.params.token,
+        session: booking.session,
+        feedback: { rating, comment },
+        error
+      });
+    }
+    
+    const feedback = await feedbackService.saveFeedback(booking, rating, comment);
+    res.render('feedback', { session: booking.session, feedback, success: 'Thank you for your feedback!' });
+  } catch (error) {
+    console.error('Error saving feedback:', error);
+    res.status(500).render('feedback', { error: 'Something went wrong. Please try again later.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+// Create an admin invitation from the command line and print its link, e.g. to set
+// up the first trainer account when there is no admin yet to send invitations.
+//
+//   npm run invite-admin -- trainer@example.com
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const validator = require('validator');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+
+async function main() {
+  const email = process.argv[2];
+  if (!email || !validator.isEmail(email)) {
+    console.error('Usage: npm run invite-admin -- <email>');
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    if (await User.exists({ email: email.toLowerCase() })) {
+      console.error(`${email} already has an account`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const { invitation, token } = await Invitation.issue({ email, role: 'admin' });
+    const baseUrl = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+    console.log(`Invitation for ${invitation.email}, valid until ${invitation.expiresAt.toLocaleString()}:`);
+    console.log(`${baseUrl}/invite?token=${token}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('Error creating invitation:', error);
+  process.exit(1);
+});
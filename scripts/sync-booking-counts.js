@@ -0,0 +1,25 @@
+// Rebuild the per-session booking counters (Session.currentBookings) from the bookings,
+// e.g. after restoring a backup. The server fills them in by itself the first time it
+// starts after an upgrade and keeps them up to date, so this is only for counters that
+// have drifted.
+//
+//   npm run sync-booking-counts
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    const corrected = await Session.syncBookingCounts();
+    console.log(`Corrected booking counts of ${corrected} sessions`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('Error synchronizing booking counts:', error);
+  process.exit(1);
+});
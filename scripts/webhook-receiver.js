@@ -0,0 +1,65 @@
+// Local webhook receiver for trying out webhook endpoints during development.
+// Prints every call it gets and checks its signature.
+//
+//   WEBHOOK_SECRET=<endpoint secret> node scripts/webhook-receiver.js
+//
+// Add http://localhost:4000/ (or WEBHOOK_RECEIVER_PORT) as a webhook in the admin
+// dashboard. WEBHOOK_FAIL_RATE (0-1) makes that share of calls answer 500, to watch
+// the retries in the delivery log.
+const crypto = require('crypto');
+const http = require('http');
+
+const port = parseInt(process.env.WEBHOOK_RECEIVER_PORT) || 4000;
+const secret = process.env.WEBHOOK_SECRET;
+const failRate = parseFloat(process.env.WEBHOOK_FAIL_RATE) || 0;
+// Calls signed longer ago than this are rejected as possible replays
+const MAX_AGE_SECONDS = 5 * 60;
+
+function verifySignature(headers, body) {
+  const timestamp = headers['x-webhook-timestamp'];
+  const signature = headers['x-webhook-signature'] || '';
+
+  if (!timestamp || Math.abs(Date.now() / 1000 - parseInt(timestamp)) > MAX_AGE_SECONDS) {
+    return false;
+  }
+
+  const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const event = req.headers['x-webhook-event'];
+    console.log(`\n${new Date().toISOString()} ${req.method} ${req.url} ${event || ''}`);
+
+    if (secret && !verifySignature(req.headers, body)) {
+      console.log('Signature: INVALID');
+      res.writeHead(401);
+      return res.end('Invalid signature');
+    }
+    console.log(`Signature: ${secret ? 'valid' : 'not checked (WEBHOOK_SECRET not set)'}`);
+
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (error) {
+      console.log(body);
+    }
+
+    if (Math.random() < failRate) {
+      console.log('Answering 500 (WEBHOOK_FAIL_RATE)');
+      res.writeHead(500);
+      return res.end('Simulated failure');
+    }
+
+    res.writeHead(204);
+    res.end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}/`);
+});
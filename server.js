@@ -15,16 +15,27 @@ const crypto = require('crypto');
 const User = require('./models/User');
 const Session = require('./models/Session');
 const Booking = require('./models/Booking');
+const CancellationPolicy = require('./models/CancellationPolicy');
+const PackageProduct = require('./models/PackageProduct');
+const Invitation = require('./models/Invitation');
 
 // Import email service and reminder scheduler
 const emailService = require('./emailService');
 const reminderScheduler = require('./reminderScheduler');
+const packageService = require('./packageService');
+const outboxWorker = require('./outboxWorker');
+const mailCatcher = require('./mailCatcher');
+const emailVerificationService = require('./emailVerificationService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Validate required environment variables
-const requiredEnvVars = ['MONGODB_URI', 'JWT_SECRET', 'EMAIL_HOST', 'EMAIL_USER', 'EMAIL_PASS'];
+// SMTP settings are only needed when mail is really sent (EMAIL_TRANSPORT=smtp, the default)
+const requiredEnvVars = ['MONGODB_URI', 'JWT_SECRET'];
+if (!mailCatcher.isCapturing()) {
+  requiredEnvVars.push('EMAIL_HOST', 'EMAIL_USER', 'EMAIL_PASS');
+}
 for (const envVar of requiredEnvVars) {
   if (!process.env[envVar]) {
     console.error(`Missing required environment variable: ${envVar}`);
@@ -65,10 +76,44 @@ mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => {
+.then(async () => {
   console.log('Connected to MongoDB successfully');
+  
+  // Replace the old unique slot index with the partial one that ignores cancelled sessions
+  try {
+    await Session.syncIndexes();
+  } catch (error) {
+    console.error('Error synchronizing session indexes:', error);
+  }
+  
+  // Move package balances still stored on users into the package ledger
+  try {
+    const migratedPackages = await packageService.migrateLegacyPackages();
+    if (migratedPackages > 0) {
+      console.log(`Migrated ${migratedPackages} packages to the package ledger`);
+    }
+  } catch (error) {
+    console.error('Error migrating packages:', error);
+  }
+  
+  // Fill in the booking counters once, when upgrading from a version that counted
+  // bookings at query time. The job lock keeps instances from doing it together, and
+  // its lastSucceededAt marks the migration as done; a failed one is retried next start.
+  const correctedSessions = await reminderScheduler.runExclusive('booking-count-migration', async (lock) => {
+    if (lock.lastSucceededAt) {
+      return 0;
+    }
+    return Session.syncBookingCounts();
+  });
+  if (correctedSessions > 0) {
+    console.log(`Filled in booking counts of ${correctedSessions} sessions`);
+  }
+  
   reminderScheduler.initializeScheduler(Session, Booking, User);
   console.log('Reminder scheduler initialized');
+  
+  // Deliver queued emails in the background
+  outboxWorker.startOutboxWorker();
 })
 .catch((error) => {
   console.error('MongoDB connection error:', error);
@@ -226,9 +271,10 @@ app.get('/register', (req, res) => {
 });
 
 // Register POST route
+// Public registration only ever creates clients; trainers join through an invitation
 app.post('/register', async (req, res) => {
   try {
-    const { name, email, password, phone, role } = req.body;
+    const { name, email, password, phone } = req.body;
     
     const errors = [];
     
@@ -248,10 +294,6 @@ app.post('/register', async (req, res) => {
       errors.push('Please enter a valid phone number');
     }
     
-    if (!role || !['admin', 'client'].includes(role)) {
-      errors.push('Please select a valid account type');
-    }
-    
     if (errors.length > 0) {
       return res.status(400).render('login', { error: errors.join(', ') });
     }
@@ -266,11 +308,19 @@ app.post('/register', async (req, res) => {
       email: email.toLowerCase(),
       password: password,
       phone: phone ? sanitizeInput(phone) : '',
-      role: role
+      role: 'client',
+      emailVerified: false
     });
     
     await user.save();
     
+    // The new client can browse right away, but books only after verifying their email
+    try {
+      await emailVerificationService.sendVerificationEmail(user);
+    } catch (emailError) {
+      console.error('Error sending verification email:', emailError);
+    }
+    
     const token = generateToken(user);
     
     res.cookie('token', token, {
@@ -280,17 +330,106 @@ app.post('/register', async (req, res) => {
       maxAge: 24 * 60 * 60 * 1000
     });
     
-    if (user.role === 'admin') {
-      res.redirect('/admin');
-    } else {
-      res.redirect('/');
-    }
+    res.redirect('/');
   } catch (error) {
     console.error('Registration error:', error);
     res.status(500).render('login', { error: 'An error occurred during registration' });
   }
 });
 
+// Accept invitation page (public) - the invitee picks their name and password
+app.get('/invite', async (req, res) => {
+  try {
+    const token = req.query.token;
+    const invitation = token ? await Invitation.findUsable(token) : null;
+    
+    if (!invitation) {
+      return res.status(400).render('accept-invite', { error: 'This invitation link is invalid, has expired or has already been used' });
+    }
+    
+    res.render('accept-invite', { token, email: invitation.email, role: invitation.role });
+  } catch (error) {
+    console.error('Invitation page error:', error);
+    res.status(500).render('accept-invite', { error: 'An error occurred. Please try again.' });
+  }
+});
+
+// Accept invitation POST - creates the account with the invited role and logs it in
+app.post('/invite', loginLimiter, async (req, res) => {
+  const { token, name, phone, password, confirmPassword } = req.body;
+  
+  try {
+    const invitation = token ? await Invitation.findUsable(token) : null;
+    if (!invitation) {
+      return res.status(400).render('accept-invite', { error: 'This invitation link is invalid, has expired or has already been used' });
+    }
+    
+    const form = { token, email: invitation.email, role: invitation.role };
+    const errors = [];
+    
+    if (!name || name.trim().length < 2) {
+      errors.push('Name must be at least 2 characters long');
+    }
+    
+    if (!password || password.length < 6) {
+      errors.push('Password must be at least 6 characters long');
+    } else if (password !== confirmPassword) {
+      errors.push('Passwords do not match');
+    }
+    
+    if (phone && !validator.isMobilePhone(phone, 'any', { strictMode: false })) {
+      errors.push('Please enter a valid phone number');
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).render('accept-invite', { ...form, error: errors.join(', ') });
+    }
+    
+    if (await User.exists({ email: invitation.email })) {
+      return res.status(400).render('accept-invite', { error: 'An account with this email already exists. Please log in instead.' });
+    }
+    
+    // Claim the invitation first so the same link can't create two accounts
+    const claimed = await Invitation.claim(invitation._id);
+    if (!claimed) {
+      return res.status(400).render('accept-invite', { error: 'This invitation link is invalid, has expired or has already been used' });
+    }
+    
+    const user = new User({
+      name: sanitizeInput(name),
+      email: invitation.email,
+      password: password,
+      phone: phone ? sanitizeInput(phone) : '',
+      role: invitation.role,
+      language: invitation.language,
+      // The invitation link was emailed to this address, which proves they own it
+      emailVerified: true
+    });
+    
+    try {
+      await user.save();
+    } catch (saveError) {
+      await Invitation.updateOne({ _id: invitation._id }, { $unset: { acceptedAt: '' } });
+      throw saveError;
+    }
+    
+    claimed.acceptedUser = user._id;
+    await claimed.save();
+    
+    res.cookie('token', generateToken(user), {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      maxAge: 24 * 60 * 60 * 1000
+    });
+    
+    res.redirect(user.role === 'admin' ? '/admin' : '/');
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).render('accept-invite', { error: 'An error occurred. Please try again.' });
+  }
+});
+
 // Forgot password page
 app.get('/forgot-password', (req, res) => {
   res.render('forgot-password');
@@ -393,6 +532,24 @@ app.post('/reset-password', async (req, res) => {
   }
 });
 
+// Verify email address (public) - the link from the verification email
+app.get('/verify-email', async (req, res) => {
+  try {
+    const result = req.query.token
+      ? await emailVerificationService.verifyEmail(req.query.token)
+      : { error: 'Invalid verification link' };
+    
+    if (result.error) {
+      return res.status(400).render('verify-email', { error: result.error });
+    }
+    
+    res.render('verify-email', { email: result.email });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).render('verify-email', { error: 'An error occurred. Please try again.' });
+  }
+});
+
 // Logout
 // Logout
 app.get('/logout', (req, res) => {
@@ -419,14 +576,29 @@ app.get('/', requireAuth, async (req, res) => {
     }
     
     const sessions = await Session.find({ isActive: true }).populate(['createdBy', 'trainer']);
-    const bookings = await Booking.find({ client: req.user.id, status: 'confirmed' }).populate({
-      path: 'session',
-      populate: { path: 'trainer' }
-    });
+    const bookings = await Booking.find({ client: req.user.id, status: 'confirmed' }).populate([
+      { path: 'session', populate: { path: 'trainer' } },
+      { path: 'package', select: 'name totalCredits' }
+    ]);
+    const cancelledBookings = await Booking.getClientBookings(req.user.id, 'cancelled');
+    
+    // What happens on a late cancellation, per booking
+    const bookingPolicies = {};
+    for (const booking of bookings) {
+      const policy = await CancellationPolicy.resolveForSession(booking.session);
+      bookingPolicies[booking._id] = policy.describeLateCancellation();
+    }
+    
+    const packageSummary = await packageService.getClientPackageSummary(req.user.id);
+    const account = await User.findById(req.user.id, 'email emailVerified pendingEmail');
     
     res.render('index', { 
       sessions, 
       bookings, 
+      cancelledBookings,
+      bookingPolicies,
+      packageSummary,
+      account,
       user: req.user,
       moment: require('moment')
     });
@@ -446,9 +618,14 @@ app.get('/admin', requireAuth, requireAdmin, async (req, res) => {
       session: { $ne: null }
         }).populate([
       { path: 'session', populate: { path: 'trainer' } },
-      'client'
+      'client',
+      { path: 'package', select: 'name totalCredits' }
     ]).sort({ createdAt: -1 });
     const trainers = await User.find({ role: 'admin' }, 'name email phone');
+    const cancelledBookings = await Booking.getCancellationHistory().limit(100);
+    const attendanceStats = await Booking.getAttendanceStats();
+    const cancellationPolicies = await CancellationPolicy.getActivePolicies();
+    const packageProducts = await PackageProduct.getActiveProducts();
     
     const totalSessions = sessions.length;
     const activeSessions = sessions.filter(s => s.isActive && new Date(s.date) > new Date()).length;
@@ -458,6 +635,10 @@ app.get('/admin', requireAuth, requireAdmin, async (req, res) => {
     res.render('admin', { 
       sessions,
       bookings,
+      cancelledBookings,
+      attendanceStats,
+      cancellationPolicies,
+      packageProducts,
       trainers,
       stats: {
         totalSessions,
@@ -477,6 +658,12 @@ app.get('/admin', requireAuth, requireAdmin, async (req, res) => {
 // Mount API routes with authentication middleware
 app.use('/api', requireAuth, require('./routes/api'));
 
+// Calendar feeds are protected by the token in their URL instead of a login
+app.use('/calendar', require('./routes/calendar'));
+
+// Feedback links are protected by the signed token in their URL instead of a login
+app.use('/feedback', require('./routes/feedback'));
+
 // Calendar API (admin only)
 app.get('/api/calendar/:year/:month', requireAuth, requireAdmin, async (req, res) => {
   try {
@@ -519,6 +706,39 @@ app.get('/api/calendar/:year/:month', requireAuth, requireAdmin, async (req, res
   }
 });
 
+// Mail captured by the local mail transports (admin only)
+app.get('/admin/mail', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const capturing = mailCatcher.isCapturing();
+    const messages = capturing ? await mailCatcher.listMessages() : [];
+    const selected = capturing && req.query.id ? await mailCatcher.getMessage(req.query.id) : null;
+    
+    res.render('mail', { 
+      mode: mailCatcher.getTransportMode(),
+      capturing,
+      messages,
+      selected,
+      user: req.user
+    });
+  } catch (error) {
+    console.error('Error loading captured mail:', error);
+    res.status(500).render('error', { error: 'Error loading captured mail' });
+  }
+});
+
+// Delete all captured mail (admin only)
+app.post('/admin/mail/clear', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    if (mailCatcher.isCapturing()) {
+      await mailCatcher.clearMessages();
+    }
+    res.redirect('/admin/mail');
+  } catch (error) {
+    console.error('Error clearing captured mail:', error);
+    res.status(500).render('error', { error: 'Error clearing captured mail' });
+  }
+});
+
 // Redirect /trainer to /admin for backwards compatibility
 app.get('/trainer', requireAuth, requireAdmin, (req, res) => {
   res.redirect('/admin');
@@ -561,6 +781,7 @@ const server = app.listen(PORT, () => {
 // Graceful shutdown
 const gracefulShutdown = (signal) => {
   console.log(`${signal} received, shutting down gracefully`);
+  outboxWorker.stopOutboxWorker();
   server.close(() => {
     mongoose.connection.close(false, () => {
       console.log('MongoDB connection closed');
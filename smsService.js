@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const validator = require('validator');
+const OutboxMessage = require('./models/OutboxMessage');
+const i18n = require('./i18n');
+
+// SMS providers turn an outbox message into a text message. A provider is an object
+// with a `name` and an async `send({ to, body })` resolving to { messageId }.
+// SMS_PROVIDER picks one; 'console' and 'file' are for development and tests.
+const providers = {
+  // Print messages to the server log
+  console: () => ({
+    name: 'console',
+    async send({ to, body }) {
+      console.log(`[SMS to ${to}] ${body}`);
+      return { messageId: `console-${Date.now()}` };
+    }
+  }),
+
+  // Append messages as JSON lines to SMS_FILE_PATH
+  file: () => {
+    const filePath = path.resolve(process.env.SMS_FILE_PATH || 'sms-outbox.log');
+    return {
+      name: 'file',
+      async send({ to, body }) {
+        const messageId = `file-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        await fs.promises.appendFile(filePath, JSON.stringify({ messageId, to, body, sentAt: new Date() }) + '\n');
+        return { messageId };
+      }
+    };
+  }
+};
+
+let provider = null;
+
+// Make a gateway available as SMS_PROVIDER=<name>. `createProvider` returns the provider.
+function registerProvider(name, createProvider) {
+  providers[name] = createProvider;
+  provider = null;
+}
+
+function getProvider() {
+  if (!provider) {
+    const name = process.env.SMS_PROVIDER || 'console';
+    if (!providers[name]) {
+      throw new Error(`Unknown SMS provider: ${name}`);
+    }
+    provider = providers[name]();
+  }
+  return provider;
+}
+
+function formatSessionTime(helpers, session) {
+  return helpers.t('common.dateAtTime', { date: helpers.formatShortDate(session.date), time: session.time });
+}
+
+// SMS texts are kept to a single message where possible, in the recipient's language
+const smsTemplates = {
+  bookingConfirmation: (helpers, booking, session) => [
+    helpers.t('sms.booked', {
+      exerciseType: helpers.formatExerciseType(session.exerciseType),
+      when: formatSessionTime(helpers, session),
+      groupSize: helpers.formatGroupSize(booking.groupSize)
+    }),
+    booking.cancellationDeadline ? helpers.t('sms.freeUntil', { deadline: helpers.formatShortDateTime(booking.cancellationDeadline) }) : null
+  ].filter(Boolean).join(' '),
+
+  cancellationNotification: (helpers, booking, session) => [
+    helpers.t('sms.cancelled', {
+      exerciseType: helpers.formatExerciseType(session.exerciseType),
+      when: formatSessionTime(helpers, session)
+    }),
+    booking.lateCancellationOutcome === 'fee-charged' ? helpers.t('sms.lateFee', { fee: booking.lateCancellationFee }) : null
+  ].filter(Boolean).join(' '),
+
+  bookingRescheduled: (helpers, booking, session, previousSession) =>
+    helpers.t('sms.rescheduled', {
+      exerciseType: helpers.formatExerciseType(session.exerciseType),
+      from: formatSessionTime(helpers, previousSession),
+      when: formatSessionTime(helpers, session)
+    }),
+
+  sessionReminder: (helpers, booking, session) =>
+    helpers.t(session.trainer && session.trainer.name ? 'sms.reminderWithTrainer' : 'sms.reminder', {
+      exerciseType: helpers.formatExerciseType(session.exerciseType),
+      when: formatSessionTime(helpers, session),
+      trainer: session.trainer && session.trainer.name
+    })
+};
+
+// Render an SMS template in the client's language
+function renderSms(name, booking, session, client, previousSession) {
+  return smsTemplates[name](i18n.createHelpers(i18n.getLanguage(client)), booking, session, previousSession);
+}
+
+// Queue a text message in the outbox; the outbox worker delivers it
+async function sendSms(to, body, options = {}) {
+  if (!to || !validator.isMobilePhone(to, 'any', { strictMode: false })) {
+    throw new Error('Invalid phone number');
+  }
+
+  const { message, duplicate } = await OutboxMessage.enqueue({
+    channel: 'sms',
+    to,
+    text: body,
+    type: options.type || 'general',
+    idempotencyKey: options.idempotencyKey,
+    user: options.user,
+    booking: options.booking,
+    session: options.session
+  });
+
+  if (duplicate) {
+    console.log(`SMS ${options.idempotencyKey} already queued, skipping`);
+    return { success: true, queued: false, duplicate: true };
+  }
+  return { success: true, queued: true, outboxId: message._id };
+}
+
+const smsService = {
+  async sendBookingConfirmation(booking, session, client) {
+    try {
+      return await sendSms(client.phone, renderSms('bookingConfirmation', booking, session, client), {
+        type: 'booking-confirmation',
+        idempotencyKey: `sms:booking-confirmation:${booking._id}`,
+        user: client._id,
+        booking: booking._id,
+        session: session._id
+      });
+    } catch (error) {
+      console.error('Error sending booking confirmation SMS:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  async sendCancellationNotification(booking, session, client) {
+    try {
+      return await sendSms(client.phone, renderSms('cancellationNotification', booking, session, client), {
+        type: 'booking-cancelled',
+        idempotencyKey: `sms:booking-cancelled:${booking._id}`,
+        user: client._id,
+        booking: booking._id,
+        session: session._id
+      });
+    } catch (error) {
+      console.error('Error sending cancellation SMS:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  async sendBookingRescheduled(booking, previousSession, session, client) {
+    try {
+      return await sendSms(client.phone, renderSms('bookingRescheduled', booking, session, client, previousSession), {
+        type: 'booking-rescheduled',
+        idempotencyKey: `sms:booking-rescheduled:${booking._id}:${booking.rescheduleCount}`,
+        user: client._id,
+        booking: booking._id,
+        session: session._id
+      });
+    } catch (error) {
+      console.error('Error sending reschedule SMS:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  async sendSessionReminder(booking, session, client, offsetMinutes) {
+    try {
+      const startDateTime = session.getStartDateTime();
+      return await sendSms(client.phone, renderSms('sessionReminder', booking, session, client), {
+        type: 'session-reminder',
+        idempotencyKey: `sms:session-reminder:${booking._id}:${startDateTime.toISOString()}:${offsetMinutes}`,
+        user: client._id,
+        booking: booking._id,
+        session: session._id
+      });
+    } catch (error) {
+      console.error('Error sending reminder SMS:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Hand one outbox message to the SMS provider (used by the outbox worker)
+  async deliverOutboxMessage(message) {
+    return getProvider().send({ to: message.to, body: message.text });
+  },
+
+  registerProvider
+};
+
+module.exports = smsService;
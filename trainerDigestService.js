@@ -0,0 +1,117 @@
+const User = require('./models/User');
+const Session = require('./models/Session');
+const Booking = require('./models/Booking');
+const emailService = require('./emailService');
+const packageService = require('./packageService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Day of a date in server time, as YYYY-MM-DD
+function getDayKey(date) {
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+}
+
+function getTimeOfDay(date) {
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+// A trainer's sessions on a day, in time order, with who booked them and each
+// client's package status
+async function buildAgenda(trainer, dayKey) {
+  // Session.date is midnight UTC of the session day
+  const dayStart = new Date(`${dayKey}T00:00:00.000Z`);
+  const sessions = await Session.find({
+    trainer: trainer._id,
+    isActive: true,
+    date: { $gte: dayStart, $lt: new Date(dayStart.getTime() + DAY_MS) }
+  });
+  sessions.sort((a, b) => a.getStartDateTime() - b.getStartDateTime());
+
+  const bookings = await Booking.find({
+    session: { $in: sessions.map(session => session._id) },
+    status: { $in: ['confirmed', 'attended'] }
+  }).populate('client', 'name email phone');
+
+  const packageSummaries = {};
+  for (const booking of bookings) {
+    const clientId = booking.client && booking.client._id.toString();
+    if (clientId && !packageSummaries[clientId]) {
+      packageSummaries[clientId] = await packageService.getClientPackageSummary(clientId);
+    }
+  }
+
+  return sessions.map(session => ({
+    session,
+    freeSpots: Math.max(session.maxCapacity - session.currentBookings, 0),
+    participants: bookings
+      .filter(booking => booking.session.equals(session._id) && booking.client)
+      .map(booking => ({
+        booking,
+        client: booking.client,
+        packages: packageSummaries[booking.client._id.toString()]
+      }))
+  }));
+}
+
+// Send the agenda digest of every trainer whose send time has passed today and who
+// hasn't had today's digest yet. A trainer is claimed for the day before the email is
+// queued, so it goes out once; after downtime it is sent late rather than skipped.
+// Days without sessions get no email.
+async function sendDueDigests() {
+  const now = new Date();
+  const today = getDayKey(now);
+  const timeOfDay = getTimeOfDay(now);
+
+  const trainers = await User.find({
+    role: 'admin',
+    'agendaDigest.enabled': { $ne: false },
+    'agendaDigest.lastSentOn': { $ne: today }
+  });
+
+  let sentCount = 0;
+  for (const trainer of trainers) {
+    try {
+      if (timeOfDay < trainer.agendaDigest.sendTime) {
+        continue;
+      }
+
+      const claimed = await User.findOneAndUpdate(
+        { _id: trainer._id, 'agendaDigest.lastSentOn': { $ne: today } },
+        { $set: { 'agendaDigest.lastSentOn': today } }
+      );
+      if (!claimed) continue;
+
+      try {
+        const agenda = await buildAgenda(trainer, today);
+        if (agenda.length === 0) {
+          continue;
+        }
+
+        const result = await emailService.sendTrainerDigest(trainer, agenda, now);
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        sentCount++;
+      } catch (error) {
+        // Let the next run try again
+        await User.updateOne({ _id: trainer._id }, { $unset: { 'agendaDigest.lastSentOn': '' } });
+        throw error;
+      }
+    } catch (error) {
+      console.error(`Error sending agenda digest to ${trainer.email}:`, error);
+    }
+  }
+
+  if (sentCount > 0) {
+    console.log(`Sent ${sentCount} trainer agenda digests`);
+  }
+  return sentCount;
+}
+
+module.exports = {
+  sendDueDigests
+};
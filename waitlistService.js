@@ -0,0 +1,101 @@
+const Session = require('./models/Session');
+const Booking = require('./models/Booking');
+const WaitlistEntry = require('./models/WaitlistEntry');
+const notificationService = require('./notificationService');
+const webhookService = require('./webhookService');
+
+// Promote waiting clients into confirmed bookings while spots are free.
+// Entries are handled in first-come order; an entry whose group no longer
+// fits is skipped so smaller groups further down the queue can still move up.
+async function promoteFromWaitlist(sessionId) {
+  const promoted = [];
+
+  try {
+    const session = await Session.findById(sessionId).populate('trainer');
+    if (!session || !session.isActive || session.getStartDateTime() <= new Date()) {
+      return promoted;
+    }
+
+    let availableSpots = await session.getAvailableSpots();
+    if (availableSpots <= 0) {
+      return promoted;
+    }
+
+    const queue = await WaitlistEntry.getSessionQueue(session._id);
+
+    for (const entry of queue) {
+      if (availableSpots <= 0) break;
+      if (entry.groupSize > availableSpots) continue;
+
+      // Reserve first, then claim the entry, so concurrent promotions can
+      // neither overbook the session nor promote the same entry twice
+      const reserved = await Session.reserveSpots(session._id, entry.groupSize);
+      if (!reserved) continue;
+      availableSpots = reserved.maxCapacity - reserved.currentBookings;
+
+      const claimed = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: 'waiting' },
+        { $set: { status: 'promoted', promotedAt: new Date() } },
+        { new: true }
+      );
+      if (!claimed) {
+        await Session.releaseSpots(session._id, entry.groupSize);
+        availableSpots += entry.groupSize;
+        continue;
+      }
+
+      try {
+        const booking = new Booking({
+          session: session._id,
+          client: entry.client._id,
+          groupSize: entry.groupSize
+        });
+        await booking.save();
+
+        claimed.booking = booking._id;
+        await claimed.save();
+
+        promoted.push(booking);
+        await webhookService.emitEvent('booking.created', webhookService.serializeBooking(booking, session));
+
+        try {
+          const notificationResult = await notificationService.sendBookingConfirmation(
+            booking,
+            session,
+            entry.client,
+            session.trainer
+          );
+          console.log('Waitlist promotion notifications sent:', notificationResult);
+        } catch (notificationError) {
+          console.error('Error sending waitlist promotion notifications:', notificationError);
+        }
+      } catch (entryError) {
+        console.error(`Error promoting waitlist entry ${entry._id}:`, entryError);
+        if (!claimed.booking) {
+          await Session.releaseSpots(session._id, entry.groupSize);
+          await WaitlistEntry.findByIdAndUpdate(entry._id, {
+            $set: { status: 'waiting' },
+            $unset: { promotedAt: 1 }
+          });
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Error in promoteFromWaitlist:', error);
+  }
+
+  return promoted;
+}
+
+// Close the queue of a session that will no longer take place
+async function cancelSessionWaitlist(sessionId) {
+  return WaitlistEntry.updateMany(
+    { session: sessionId, status: 'waiting' },
+    { $set: { status: 'cancelled' } }
+  );
+}
+
+module.exports = {
+  promoteFromWaitlist,
+  cancelSessionWaitlist
+};
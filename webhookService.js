@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const OutboxMessage = require('./models/OutboxMessage');
+const WebhookEndpoint = require('./models/WebhookEndpoint');
+
+// Webhook calls are queued in the outbox like emails and texts, one message per endpoint
+// and event, and retried with the outbox backoff when the receiver fails or is down.
+//
+// Every call is a POST with a JSON body { id, event, createdAt, data } and the headers
+//   X-Webhook-Id        - event id, the same on every retry
+//   X-Webhook-Event     - event name, e.g. 'booking.created'
+//   X-Webhook-Timestamp - seconds since the epoch when the call was made
+//   X-Webhook-Signature - 'sha256=' + hex HMAC-SHA256 of `${timestamp}.${body}` keyed with
+//                         the endpoint secret
+const TEST_EVENT = 'webhook.test';
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+function idOf(value) {
+  if (!value) return null;
+  return String(value._id || value);
+}
+
+function serializeSession(session) {
+  return {
+    id: idOf(session),
+    date: session.date,
+    time: session.time,
+    startsAt: typeof session.getStartDateTime === 'function' ? session.getStartDateTime() : undefined,
+    exerciseType: session.exerciseType,
+    maxCapacity: session.maxCapacity,
+    currentBookings: session.currentBookings,
+    isActive: session.isActive,
+    trainer: idOf(session.trainer),
+    description: session.description,
+    price: session.price,
+    series: idOf(session.series),
+    cancellationReason: session.cancellationReason || undefined
+  };
+}
+
+// The session is included when given, so receivers don't need to look it up
+function serializeBooking(booking, session) {
+  return {
+    id: idOf(booking),
+    client: idOf(booking.client),
+    session: session ? serializeSession(session) : idOf(booking.session),
+    groupSize: booking.groupSize,
+    status: booking.status,
+    notes: booking.notes,
+    package: idOf(booking.package),
+    cancelledAt: booking.cancelledAt,
+    cancellationReason: booking.cancellationReason || undefined,
+    lateCancellation: booking.lateCancellation,
+    rescheduleCount: booking.rescheduleCount,
+    createdAt: booking.createdAt
+  };
+}
+
+function serializePackage(pkg) {
+  return {
+    id: idOf(pkg),
+    client: idOf(pkg.client),
+    name: pkg.name,
+    product: idOf(pkg.product),
+    totalCredits: pkg.totalCredits,
+    price: pkg.price,
+    exerciseTypes: pkg.exerciseTypes,
+    maxGroupSize: pkg.maxGroupSize,
+    purchasedAt: pkg.purchasedAt,
+    expiresAt: pkg.expiresAt,
+    status: pkg.status
+  };
+}
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function enqueueCall(endpoint, event, data) {
+  const id = crypto.randomUUID();
+  const payload = { id, event, createdAt: new Date(), data };
+
+  return OutboxMessage.enqueue({
+    channel: 'webhook',
+    to: endpoint.url,
+    text: JSON.stringify(payload),
+    type: event,
+    idempotencyKey: `webhook:${id}:${endpoint._id}`,
+    webhookEndpoint: endpoint._id
+  });
+}
+
+// Queue a call to every active endpoint subscribed to `event`. Never throws, so an
+// unreachable database or bad endpoint can't fail the change that caused the event.
+async function emitEvent(event, data) {
+  try {
+    const endpoints = await WebhookEndpoint.findSubscribed(event);
+    for (const endpoint of endpoints) {
+      await enqueueCall(endpoint, event, data);
+    }
+    return { queued: endpoints.length };
+  } catch (error) {
+    console.error(`Error queueing webhook event ${event}:`, error);
+    return { queued: 0, error: error.message };
+  }
+}
+
+// Queue a 'webhook.test' call to one endpoint, whatever its events and even when paused
+async function sendTestEvent(endpoint, triggeredBy) {
+  const { message } = await enqueueCall(endpoint, TEST_EVENT, {
+    message: 'Test event from the booking system',
+    endpoint: idOf(endpoint),
+    triggeredBy: idOf(triggeredBy)
+  });
+  return message;
+}
+
+// POST `body` to `url`, resolving to the response status code
+function postJson(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const request = client.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'personal-trainer-booking-webhooks',
+        ...headers
+      },
+      timeout: REQUEST_TIMEOUT_MS
+    }, response => {
+      // The response body isn't used, but has to be read for the socket to be freed
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`No response within ${REQUEST_TIMEOUT_MS / 1000}s`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// Call the endpoint of one outbox message (used by the outbox worker). The current URL
+// and secret of the endpoint are used, so fixing a wrong URL also fixes queued retries.
+async function deliverOutboxMessage(message) {
+  const endpoint = await WebhookEndpoint.findById(message.webhookEndpoint);
+  if (!endpoint) {
+    throw new Error('Webhook endpoint was deleted');
+  }
+
+  const payload = JSON.parse(message.text);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const status = await postJson(endpoint.url, message.text, {
+    'X-Webhook-Id': payload.id,
+    'X-Webhook-Event': payload.event,
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Signature': `sha256=${signPayload(endpoint.secret, timestamp, message.text)}`
+  });
+
+  if (status < 200 || status >= 300) {
+    throw new Error(`Receiver responded with HTTP ${status}`);
+  }
+  return { messageId: `${payload.id}:${status}` };
+}
+
+module.exports = {
+  EVENTS: WebhookEndpoint.EVENTS,
+  emitEvent,
+  sendTestEvent,
+  serializeBooking,
+  serializeSession,
+  serializePackage,
+  signPayload,
+  deliverOutboxMessage
+};